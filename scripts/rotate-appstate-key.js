@@ -0,0 +1,33 @@
+// Re-encrypts the appState in config.json with a new key.
+//
+//   APPSTATE_KEY=<current key> NEW_APPSTATE_KEY=<new key> npm run rotate-key
+//
+// A plain-text appState left over from older versions is encrypted as-is, in
+// which case APPSTATE_KEY may be omitted.
+require('dotenv').config();
+const { CONFIG_FILE, loadConfig, updateConfig } = require('../src/config');
+const { encryptAppState, readStoredAppState } = require('../src/appstate-crypto');
+
+function main() {
+  const newKey = process.env.NEW_APPSTATE_KEY;
+  if (!newKey) {
+    throw new Error('NEW_APPSTATE_KEY is not set.');
+  }
+  const config = loadConfig();
+  if (!config) {
+    throw new Error(`${CONFIG_FILE} not found.`);
+  }
+  const appState = readStoredAppState(config.cookies, process.env.APPSTATE_KEY);
+  if (!appState) {
+    throw new Error(`${CONFIG_FILE} has no saved appState to re-encrypt.`);
+  }
+  updateConfig({ cookies: encryptAppState(appState, newKey) });
+  console.log(`✅ appState in ${CONFIG_FILE} re-encrypted. Set APPSTATE_KEY to the new key before restarting the bot.`);
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(`❌ Key rotation failed: ${e.message}`);
+  process.exit(1);
+}
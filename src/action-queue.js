@@ -0,0 +1,242 @@
+// Every outbound Messenger call (messages, titles, nicknames, group photos) goes
+// through one queue, so the bot never bursts calls at Facebook and a single
+// failure does not stop the calls queued behind it.
+//
+// Calls run one at a time. Within a thread they run in the order they were
+// queued, except that higher priorities jump ahead: lock reverts first, then
+// command actions, then chat messages. Transient failures (rate limits, network
+// errors) are retried with exponential backoff; each call's promise settles
+// with its own result.
+
+const PRIORITIES = {
+  revert: 0,
+  action: 1,
+  reply: 2
+};
+
+const DEFAULT_QUEUE_OPTIONS = {
+  // Minimum gap between any two calls, and between two calls in the same thread
+  globalIntervalMs: 250,
+  threadIntervalMs: 1000,
+  maxAttempts: 3,
+  backoffMs: 2000,
+  maxBackoffMs: 30000,
+  // A call still unsettled after this long fails, so one hung call cannot hold
+  // up the queue; 0 waits forever
+  callTimeoutMs: 30000
+};
+
+const TRANSIENT_PATTERN = /rate.?limit|too many|try again|temporar|timed? ?out|ETIMEDOUT|ECONNRESET|ECONNREFUSED|EAI_AGAIN|ENOTFOUND|socket hang up|network|\b(429|50[0234])\b/i;
+
+// Errors can opt in or out explicitly with a boolean `transient` property
+function isTransientError(error) {
+  if (error && typeof error.transient === 'boolean') return error.transient;
+  const message = error instanceof Error ? error.message : (error && (error.error || error.message)) || String(error);
+  return TRANSIENT_PATTERN.test(String(message));
+}
+
+function toError(error) {
+  if (error instanceof Error) return error;
+  const wrapped = new Error(error && (error.error || error.message) ? String(error.error || error.message) : String(error));
+  wrapped.cause = error;
+  return wrapped;
+}
+
+// Settles like `promise`, or rejects after `ms`. A timed-out call may still
+// have gone through, so the error is transient only when `repeatable` says the
+// call is safe to run twice.
+function withTimeout(promise, ms, label, repeatable) {
+  if (!ms) return promise;
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} timed out after ${ms}ms`);
+      error.transient = repeatable;
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function createActionQueue({ emitLog = () => {}, now = Date.now, ...options } = {}) {
+  const config = { ...DEFAULT_QUEUE_OPTIONS };
+  const pending = [];
+  const threadReadyAt = new Map();
+  let globalReadyAt = 0;
+  let sequence = 0;
+  let running = false;
+  let timer = null;
+  // Settled calls per label since start: { calls, failures, retries }
+  const totals = new Map();
+
+  function configure(changes = {}) {
+    for (const key of Object.keys(DEFAULT_QUEUE_OPTIONS)) {
+      if (Number.isFinite(changes[key]) && changes[key] >= 0) config[key] = changes[key];
+    }
+    return { ...config };
+  }
+
+  function insert(item) {
+    let index = pending.findIndex(other => other.priority > item.priority
+      || (other.priority === item.priority && other.sequence > item.sequence));
+    if (index === -1) index = pending.length;
+    pending.splice(index, 0, item);
+  }
+
+  // Queues `run` for `threadID`. `label` names the call in logs. Resolves with
+  // what `run` returned, or rejects with its last error once retries are used up.
+  // Only `repeatable` calls are retried after a timeout.
+  function enqueue(threadID, label, run, { priority = 'action', repeatable = false } = {}) {
+    if (!(priority in PRIORITIES)) {
+      return Promise.reject(new Error(`Unknown queue priority "${priority}".`));
+    }
+    return new Promise((resolve, reject) => {
+      insert({
+        sequence: sequence++,
+        threadID: String(threadID),
+        label,
+        run,
+        repeatable,
+        priority: PRIORITIES[priority],
+        attempts: 0,
+        notBefore: 0,
+        resolve,
+        reject
+      });
+      drain();
+    });
+  }
+
+  // The next call allowed to run: only the first pending call of each thread is
+  // a candidate, so a call waiting on backoff holds back the rest of its thread.
+  function nextItem(time) {
+    const seen = new Set();
+    let soonest = Infinity;
+    for (const item of pending) {
+      if (seen.has(item.threadID)) continue;
+      seen.add(item.threadID);
+      const readyAt = Math.max(item.notBefore, threadReadyAt.get(item.threadID) || 0, globalReadyAt);
+      if (readyAt <= time) return { item };
+      soonest = Math.min(soonest, readyAt);
+    }
+    return { wait: soonest - time };
+  }
+
+  async function drain() {
+    if (running) return;
+    running = true;
+    clearTimeout(timer);
+    timer = null;
+    try {
+      while (pending.length > 0) {
+        const time = now();
+        const { item, wait } = nextItem(time);
+        if (!item) {
+          timer = setTimeout(drain, wait);
+          break;
+        }
+        pending.splice(pending.indexOf(item), 1);
+        globalReadyAt = time + config.globalIntervalMs;
+        threadReadyAt.set(item.threadID, time + config.threadIntervalMs);
+        await runItem(item);
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  function count(label, field) {
+    const entry = totals.get(label) || { calls: 0, failures: 0, retries: 0 };
+    entry[field]++;
+    totals.set(label, entry);
+  }
+
+  async function runItem(item) {
+    item.attempts++;
+    try {
+      const result = await withTimeout(item.run(), config.callTimeoutMs, item.label, item.repeatable);
+      count(item.label, 'calls');
+      item.resolve(result);
+    } catch (e) {
+      const error = toError(e);
+      if (item.attempts < config.maxAttempts && isTransientError(e)) {
+        const delay = Math.min(config.backoffMs * 2 ** (item.attempts - 1), config.maxBackoffMs);
+        emitLog(`⏳ ${item.label} in ${item.threadID} failed (${error.message}), retry ${item.attempts}/${config.maxAttempts - 1} in ${delay}ms`);
+        count(item.label, 'retries');
+        item.notBefore = now() + delay;
+        insert(item);
+      } else {
+        count(item.label, 'calls');
+        count(item.label, 'failures');
+        item.reject(error);
+      }
+    }
+  }
+
+  // Totals per label, e.g. { sendMessage: { calls: 12, failures: 1, retries: 2 } }
+  function stats() {
+    return Object.fromEntries(Array.from(totals, ([label, entry]) => [label, { ...entry }]));
+  }
+
+  // Drops every queued call, rejecting their promises
+  function clear(reason = 'Outbound queue cleared.') {
+    clearTimeout(timer);
+    timer = null;
+    for (const item of pending.splice(0)) {
+      item.reject(new Error(reason));
+    }
+  }
+
+  configure(options);
+
+  return {
+    configure,
+    enqueue,
+    clear,
+    stats,
+    size: () => pending.length
+  };
+}
+
+// Where a queued view keeps the API it wraps, so wrapping twice never queues a
+// call from inside the queue (which would wait on itself forever)
+const RAW_API = Symbol('rawApi');
+
+const QUEUED_METHODS = {
+  sendMessage: (message, threadID) => threadID,
+  setTitle: (title, threadID) => threadID,
+  changeNickname: (nickname, threadID) => threadID,
+  changeGroupImage: (image, threadID) => threadID,
+  changeThreadEmoji: (emoji, threadID) => threadID,
+  changeThreadColor: (color, threadID) => threadID,
+  changeApprovalMode: (approvalMode, threadID) => threadID,
+  addUserToGroup: (userID, threadID) => threadID,
+  removeUserFromGroup: (userID, threadID) => threadID
+};
+
+// Calls that only set a value, so running one twice does no harm
+const REPEATABLE_METHODS = new Set(['setTitle', 'changeNickname', 'changeGroupImage', 'changeThreadEmoji', 'changeThreadColor', 'changeApprovalMode']);
+
+// A view of `api` whose outbound calls go through `queue`. Other methods are
+// inherited unchanged. Messages always queue as chat replies; other calls use
+// `priority`, so reverts can be marked to jump ahead.
+function createQueuedApi(api, queue, priority = 'action') {
+  api = api[RAW_API] || api;
+  const queued = Object.create(api);
+  queued[RAW_API] = api;
+  for (const [method, threadOf] of Object.entries(QUEUED_METHODS)) {
+    queued[method] = (...args) => queue.enqueue(threadOf(...args), method, () => api[method](...args), {
+      priority: method === 'sendMessage' ? 'reply' : priority,
+      repeatable: REPEATABLE_METHODS.has(method)
+    });
+  }
+  return queued;
+}
+
+module.exports = {
+  PRIORITIES,
+  DEFAULT_QUEUE_OPTIONS,
+  isTransientError,
+  createActionQueue,
+  createQueuedApi
+};
@@ -0,0 +1,308 @@
+const express = require('express');
+const { verifyCsrf } = require('./auth');
+const locks = require('./locks');
+const { queryAudit, auditToCSV } = require('./audit');
+const members = require('./members');
+const { listStruckMembers } = require('./flood');
+
+// Actor recorded in the audit log for changes made through the dashboard
+const DASHBOARD_ACTOR = 'dashboard';
+
+// JSON API for the dashboard. Lock changes go through the same src/locks.js
+// functions as the chat commands, so both paths behave identically.
+function createApiRouter(deps) {
+  const { getAPI, getState, getJoinedGroups, getGroups, getSettings, applyLockChange, updatePrefix, updateBotNickname, updateReplySettings, setGroupLocale, updateGroupGreetings, setGroupAdminTrust, updateGroupFlood, resetMemberStrikes, cancelGroupSchedule, listLocales, reconcile, emitLog } = deps;
+  const router = express.Router();
+
+  router.use((req, res, next) => (req.method === 'GET' ? next() : verifyCsrf(req, res, next)));
+
+  // Wraps an async route: LockError → 400, anything else → 500
+  const route = (handler) => async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (e) {
+      if (e instanceof locks.LockError) {
+        return res.status(400).json({ error: e.message });
+      }
+      emitLog(`❌ API error on ${req.method} ${req.originalUrl}: ${e.message}`, true);
+      res.status(500).json({ error: e.message });
+    }
+  };
+
+  const requireBot = (req, res, next) => {
+    if (!getAPI()) return res.status(503).json({ error: 'Bot is not logged in.' });
+    next();
+  };
+
+  const requireGroup = (req, res, next) => {
+    if (!getJoinedGroups().includes(req.params.threadID)) {
+      return res.status(404).json({ error: 'Bot is not in this group.' });
+    }
+    next();
+  };
+
+  const status = (req) => locks.getLockStatus(getState(), req.params.threadID);
+
+  router.get('/groups', (req, res) => {
+    res.json(getGroups());
+  });
+
+  router.get('/groups/:threadID/status', requireGroup, (req, res) => {
+    res.json(status(req));
+  });
+
+  router.put('/groups/:threadID/locks/name', requireBot, requireGroup, route(async (req, res) => {
+    const { threadID } = req.params;
+    if (req.body.name != null && typeof req.body.name !== 'string') {
+      return res.status(400).json({ error: '"name" must be text.' });
+    }
+    if (req.body.autoClear === true) {
+      await applyLockChange({ threadID, actorID: DASHBOARD_ACTOR, type: 'name', action: 'auto-clear-on' }, () => locks.enableGroupNameAutoClear(getAPI(), getState(), threadID));
+    } else {
+      await applyLockChange({ threadID, actorID: DASHBOARD_ACTOR, type: 'name', action: 'lock', newValue: req.body.name }, () => locks.lockGroupName(getAPI(), getState(), threadID, req.body.name));
+    }
+    emitLog(`🔐 Group name lock updated from dashboard in ${threadID}`);
+    res.json(status(req));
+  }));
+
+  router.delete('/groups/:threadID/locks/name', requireGroup, route(async (req, res) => {
+    const { threadID } = req.params;
+    await applyLockChange({ threadID, actorID: DASHBOARD_ACTOR, type: 'name', action: 'unlock' }, () => locks.unlockGroupName(getState(), threadID));
+    res.json(status(req));
+  }));
+
+  router.put('/groups/:threadID/locks/nickname', requireBot, requireGroup, route(async (req, res) => {
+    const { threadID } = req.params;
+    if (req.body.nickname != null && typeof req.body.nickname !== 'string') {
+      return res.status(400).json({ error: '"nickname" must be text.' });
+    }
+    const result = req.body.autoClear === true
+      ? await applyLockChange({ threadID, actorID: DASHBOARD_ACTOR, type: 'nickname', action: 'auto-clear-on' }, () => locks.enableNicknameAutoClear(getAPI(), getState(), threadID))
+      : await applyLockChange({ threadID, actorID: DASHBOARD_ACTOR, type: 'nickname', action: 'lock', newValue: req.body.nickname }, () => locks.lockGroupNickname(getAPI(), getState(), threadID, req.body.nickname));
+    emitLog(`🔐 Nickname lock updated from dashboard in ${threadID}`);
+    res.json({ ...status(req), result });
+  }));
+
+  router.delete('/groups/:threadID/locks/nickname', requireGroup, route(async (req, res) => {
+    const { threadID } = req.params;
+    if (req.query.autoClear === 'true') {
+      await applyLockChange({ threadID, actorID: DASHBOARD_ACTOR, type: 'nickname', action: 'auto-clear-off' }, () => locks.disableNicknameAutoClear(getState(), threadID));
+    } else {
+      await applyLockChange({ threadID, actorID: DASHBOARD_ACTOR, type: 'nickname', action: 'unlock' }, () => locks.unlockNicknames(getState(), threadID));
+    }
+    res.json(status(req));
+  }));
+
+  router.put('/groups/:threadID/locks/nickname/members/:userID', requireBot, requireGroup, route(async (req, res) => {
+    const { threadID, userID } = req.params;
+    if (req.body.nickname != null && typeof req.body.nickname !== 'string') {
+      return res.status(400).json({ error: '"nickname" must be text.' });
+    }
+    const result = await applyLockChange({ threadID, actorID: DASHBOARD_ACTOR, type: 'member-nickname', action: 'lock', participantID: userID, newValue: req.body.nickname }, () => locks.lockMemberNicknames(getAPI(), getState(), threadID, [userID], req.body.nickname));
+    res.json({ ...status(req), result });
+  }));
+
+  router.delete('/groups/:threadID/locks/nickname/members/:userID', requireGroup, route(async (req, res) => {
+    const { threadID, userID } = req.params;
+    if (getState().lockedNicknames[threadID]?.[userID] === undefined) {
+      return res.status(404).json({ error: 'No nickname lock for this member.' });
+    }
+    await applyLockChange({ threadID, actorID: DASHBOARD_ACTOR, type: 'member-nickname', action: 'unlock', participantID: userID }, () => locks.unlockMemberNicknames(getState(), threadID, [userID]));
+    res.json(status(req));
+  }));
+
+  router.put('/groups/:threadID/locks/photo', requireBot, requireGroup, route(async (req, res) => {
+    const { threadID } = req.params;
+    await applyLockChange({ threadID, actorID: DASHBOARD_ACTOR, type: 'photo', action: 'lock' }, () => locks.lockGroupPhoto(getAPI(), getState(), threadID));
+    emitLog(`🔐 Group photo locked from dashboard in ${threadID}`);
+    res.json(status(req));
+  }));
+
+  router.delete('/groups/:threadID/locks/photo', requireGroup, route(async (req, res) => {
+    const { threadID } = req.params;
+    await applyLockChange({ threadID, actorID: DASHBOARD_ACTOR, type: 'photo', action: 'unlock' }, () => locks.unlockGroupPhoto(getState(), threadID));
+    res.json(status(req));
+  }));
+
+  // Emoji, theme color and approval mode; `value` left out locks what the group has now
+  const requireSettingLock = (req, res, next) => {
+    if (!locks.SETTING_LOCKS[req.params.type]) return res.status(404).json({ error: `Unknown lock type "${req.params.type}".` });
+    next();
+  };
+
+  router.put('/groups/:threadID/locks/:type', requireBot, requireGroup, requireSettingLock, route(async (req, res) => {
+    const { threadID, type } = req.params;
+    const value = req.body.value ?? null;
+    if (value !== null && typeof value !== (type === 'approval' ? 'boolean' : 'string')) {
+      return res.status(400).json({ error: type === 'approval' ? '"value" must be true or false.' : '"value" must be text.' });
+    }
+    await applyLockChange({ threadID, actorID: DASHBOARD_ACTOR, type, action: 'lock', newValue: value }, () => locks.lockGroupSetting(getAPI(), getState(), threadID, type, value));
+    emitLog(`🔐 ${type} lock updated from dashboard in ${threadID}`);
+    res.json(status(req));
+  }));
+
+  router.delete('/groups/:threadID/locks/:type', requireGroup, requireSettingLock, route(async (req, res) => {
+    const { threadID, type } = req.params;
+    await applyLockChange({ threadID, actorID: DASHBOARD_ACTOR, type, action: 'unlock' }, () => locks.unlockGroupSetting(getState(), threadID, type));
+    res.json(status(req));
+  }));
+
+  router.post('/groups/:threadID/locks/:type/resume', requireBot, requireGroup, route(async (req, res) => {
+    const { threadID, type } = req.params;
+    if (!locks.LOCK_TYPES.includes(type)) {
+      return res.status(404).json({ error: `Unknown lock type "${type}".` });
+    }
+    const result = await applyLockChange({ threadID, actorID: DASHBOARD_ACTOR, type, action: 'resume' }, () => locks.resumeLock(getAPI(), getState(), threadID, type));
+    emitLog(`▶️ ${type} lock resumed from dashboard in ${threadID}`);
+    res.json({ ...status(req), result });
+  }));
+
+  // Reply language of one group; null goes back to the bot's default
+  router.put('/groups/:threadID/locale', requireGroup, route(async (req, res) => {
+    const { locale = null } = req.body;
+    if (locale !== null && typeof locale !== 'string') {
+      return res.status(400).json({ error: 'Locale must be a locale code or null.' });
+    }
+    const effective = setGroupLocale(req.params.threadID, locale);
+    emitLog(`🌐 Group ${req.params.threadID} language set to ${effective} from dashboard`);
+    res.json({ locale, effective });
+  }));
+
+  // Welcome/farewell switches, templates, rules and auto-nickname of one group
+  router.put('/groups/:threadID/greetings', requireGroup, route(async (req, res) => {
+    const greetings = updateGroupGreetings(req.params.threadID, req.body || {});
+    emitLog(`👋 Greeting settings of ${req.params.threadID} updated from dashboard`);
+    res.json(greetings);
+  }));
+
+  // With trust on, a thread admin's rename or nickname change becomes the new lock
+  router.put('/groups/:threadID/trust-admins', requireGroup, route(async (req, res) => {
+    if (typeof req.body.enabled !== 'boolean') {
+      return res.status(400).json({ error: '"enabled" must be true or false.' });
+    }
+    setGroupAdminTrust(req.params.threadID, req.body.enabled);
+    res.json(status(req));
+  }));
+
+  // Protected members are added back when removed; the allow-list removes
+  // members added by anyone but a moderator
+  router.put('/groups/:threadID/protected-members/:userID', requireGroup, route(async (req, res) => {
+    const { threadID, userID } = req.params;
+    await applyLockChange({ threadID, actorID: DASHBOARD_ACTOR, type: 'member', action: 'protect', participantID: userID }, () => members.protectMembers(getState(), threadID, [userID]));
+    res.json(members.getMemberProtection(getState(), threadID));
+  }));
+
+  router.delete('/groups/:threadID/protected-members/:userID', requireGroup, route(async (req, res) => {
+    const { threadID, userID } = req.params;
+    if (!members.isProtectedMember(getState(), threadID, userID)) {
+      return res.status(404).json({ error: 'This member is not protected.' });
+    }
+    await applyLockChange({ threadID, actorID: DASHBOARD_ACTOR, type: 'member', action: 'unprotect', participantID: userID }, () => members.unprotectMembers(getState(), threadID, [userID]));
+    res.json(members.getMemberProtection(getState(), threadID));
+  }));
+
+  router.put('/groups/:threadID/allow-list', requireGroup, route(async (req, res) => {
+    const { threadID } = req.params;
+    if (typeof req.body.enabled !== 'boolean') {
+      return res.status(400).json({ error: '"enabled" must be true or false.' });
+    }
+    await applyLockChange({ threadID, actorID: DASHBOARD_ACTOR, type: 'member', action: req.body.enabled ? 'allow-list-on' : 'allow-list-off' }, () => members.setJoinAllowList(getState(), threadID, req.body.enabled));
+    res.json(members.getMemberProtection(getState(), threadID));
+  }));
+
+  // Flood limits and actions of one group, and the strikes members got for flooding
+  router.put('/groups/:threadID/flood', requireGroup, route(async (req, res) => {
+    const flood = updateGroupFlood(req.params.threadID, req.body || {});
+    emitLog(`🌊 Flood settings of ${req.params.threadID} updated from dashboard`);
+    res.json(flood);
+  }));
+
+  router.get('/groups/:threadID/strikes', requireGroup, (req, res) => {
+    res.json(listStruckMembers(getState(), req.params.threadID));
+  });
+
+  router.delete('/groups/:threadID/strikes/:userID', requireGroup, (req, res) => {
+    const { threadID, userID } = req.params;
+    if (resetMemberStrikes(threadID, userID) === 0) return res.status(404).json({ error: 'This member has no strikes.' });
+    res.json(listStruckMembers(getState(), threadID));
+  });
+
+  // Drops a scheduled lock or a lock's expiry; the status lists them under `schedules`
+  router.delete('/groups/:threadID/schedules/:id', requireGroup, (req, res) => {
+    if (!cancelGroupSchedule(req.params.threadID, Number(req.params.id))) {
+      return res.status(404).json({ error: 'No such schedule in this group.' });
+    }
+    res.json(status(req));
+  });
+
+  router.get('/locales', (req, res) => {
+    res.json(listLocales());
+  });
+
+  // Checks every locked group right away instead of waiting for the next sweep
+  router.post('/reconcile', requireBot, route(async (req, res) => {
+    const summary = await reconcile(getAPI(), 'dashboard');
+    if (!summary) return res.status(409).json({ error: 'A reconcile sweep is already running.' });
+    res.json(summary);
+  }));
+
+  const auditFilters = (query) => ({
+    threadID: query.threadID || undefined,
+    actorID: query.actorID || undefined,
+    type: query.type || undefined,
+    action: query.action || undefined,
+    reverted: query.reverted === 'true' ? true : query.reverted === 'false' ? false : undefined,
+    since: query.since || undefined,
+    limit: Math.min(Number(query.limit) || 100, 5000)
+  });
+
+  router.get('/audit', (req, res) => {
+    res.json(queryAudit(auditFilters(req.query)));
+  });
+
+  router.get('/audit.csv', (req, res) => {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="audit.csv"');
+    res.send(auditToCSV(queryAudit(auditFilters(req.query))));
+  });
+
+  router.get('/settings', (req, res) => {
+    res.json(getSettings());
+  });
+
+  // Every field is checked before any is applied, so an error response means
+  // nothing was changed
+  router.put('/settings', route(async (req, res) => {
+    const { prefix, botNickname, locale, signature, separator } = req.body;
+    if (prefix !== undefined && (typeof prefix !== 'string' || !prefix.trim() || /\s/.test(prefix))) {
+      return res.status(400).json({ error: 'Prefix must be a non-empty string without spaces.' });
+    }
+    if (locale !== undefined && !listLocales().some(entry => entry.code === locale)) {
+      return res.status(400).json({ error: `Unknown locale "${locale}".` });
+    }
+    for (const [name, value] of Object.entries({ signature, separator })) {
+      if (value !== undefined && value !== null && typeof value !== 'string') {
+        return res.status(400).json({ error: `The ${name} must be text, or null for the locale's own.` });
+      }
+    }
+    if (botNickname !== undefined) {
+      if (typeof botNickname !== 'string' || !botNickname.trim()) {
+        return res.status(400).json({ error: 'Bot nickname must be a non-empty string.' });
+      }
+      if (!getAPI()) return res.status(503).json({ error: 'Bot is not logged in.' });
+    }
+
+    if (prefix !== undefined) updatePrefix(prefix);
+    if (locale !== undefined || signature !== undefined || separator !== undefined) {
+      updateReplySettings({ locale, signature, separator });
+    }
+    if (botNickname !== undefined) await updateBotNickname(getAPI(), botNickname.trim(), getJoinedGroups());
+    res.json(getSettings());
+  }));
+
+  return router;
+}
+
+module.exports = {
+  createApiRouter
+};
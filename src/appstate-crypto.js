@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const ENVELOPE_VERSION = 1;
+
+class AppStateKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AppStateKeyError';
+  }
+}
+
+function getAppStateKey() {
+  return process.env.APPSTATE_KEY || '';
+}
+
+function isEncryptedAppState(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) && value.encrypted === true;
+}
+
+function deriveKey(secret, salt) {
+  return crypto.scryptSync(secret, salt, 32);
+}
+
+function encryptAppState(appState, secret = getAppStateKey()) {
+  if (!secret) {
+    throw new AppStateKeyError('APPSTATE_KEY is not set, refusing to write the session to disk unencrypted.');
+  }
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(secret, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(appState), 'utf8'), cipher.final()]);
+  return {
+    encrypted: true,
+    version: ENVELOPE_VERSION,
+    algorithm: ALGORITHM,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decryptAppState(envelope, secret = getAppStateKey()) {
+  if (!secret) {
+    throw new AppStateKeyError('config.json holds an encrypted appState but APPSTATE_KEY is not set. Set APPSTATE_KEY to the key it was saved with.');
+  }
+  if (envelope.version !== ENVELOPE_VERSION || envelope.algorithm !== ALGORITHM) {
+    throw new AppStateKeyError(`Unsupported encrypted appState format (version ${envelope.version}, ${envelope.algorithm}).`);
+  }
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, deriveKey(secret, Buffer.from(envelope.salt, 'base64')), Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+  } catch (e) {
+    throw new AppStateKeyError('APPSTATE_KEY does not match the key config.json was encrypted with (or the file is corrupted).');
+  }
+}
+
+// Accepts whatever config.json holds under `cookies`: an encrypted envelope,
+// a legacy plain-text array, or nothing.
+function readStoredAppState(stored, secret = getAppStateKey()) {
+  if (isEncryptedAppState(stored)) return decryptAppState(stored, secret);
+  if (Array.isArray(stored) && stored.length > 0) return stored;
+  return null;
+}
+
+module.exports = {
+  AppStateKeyError,
+  getAppStateKey,
+  isEncryptedAppState,
+  encryptAppState,
+  decryptAppState,
+  readStoredAppState
+};
@@ -0,0 +1,326 @@
+// Tokenizes command text and checks it against a command's declared usage.
+//
+// A usage entry looks like
+//   { sub: 'on', params: [{ name: 'group_name', type: 'text' }], flags: [...], description }
+// Param types: word, integer, number, choice (with `choices`), user, users,
+// duration, time and text. `text` takes the rest of the input exactly as typed
+// (spacing kept), or the inside of a single quoted string. `duration` ("90m",
+// "1h30m", "2d") becomes milliseconds and `time` ("18:30", "2026-12-31 18:30")
+// a future timestamp. Params may be `optional` with a `default`.
+// Flags are written `--name value` or `--name=value`; `boolean` flags take no value.
+
+const { translateBase } = require('./i18n');
+
+// `code` names the reply template "usage.<code>" and `vars` fill it, so the
+// bot can show the error in a group's own locale; `message` is the base text.
+class UsageError extends Error {
+  constructor(code, vars = {}, entries = []) {
+    super(translateBase(`usage.${code}`, vars));
+    this.name = 'UsageError';
+    this.code = code;
+    this.vars = vars;
+    this.entries = entries;
+  }
+}
+
+const PARAM_TYPES = ['word', 'integer', 'number', 'choice', 'user', 'users', 'duration', 'time', 'text'];
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+const QUOTES = { '"': '"', "'": "'", '“': '”' };
+
+// A bare numeric Facebook ID is accepted wherever a mention is
+const USER_ID_PATTERN = /^\d{5,}$/;
+
+// Splits `text` into tokens with their offsets. Mention tags from `mentions`
+// ({ userID: '@Name' }) become single `mention` tokens even when they contain spaces.
+function tokenize(text, mentions = {}) {
+  const tags = Object.entries(mentions)
+    .filter(([, tag]) => tag)
+    .sort((a, b) => b[1].length - a[1].length);
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++;
+      continue;
+    }
+    const start = i;
+    const mention = tags.find(([, tag]) => text.startsWith(tag, i));
+    if (mention) {
+      i += mention[1].length;
+      tokens.push({ kind: 'mention', value: mention[1], id: String(mention[0]), start, end: i });
+      continue;
+    }
+    const close = QUOTES[text[i]];
+    if (close) {
+      const end = findClosingQuote(text, i + 1, close);
+      if (end !== -1) {
+        tokens.push({ kind: 'quoted', value: text.slice(i + 1, end).replace(/\\(.)/g, '$1'), start, end: end + 1 });
+        i = end + 1;
+        continue;
+      }
+    }
+    while (i < text.length && !/\s/.test(text[i])) i++;
+    tokens.push({ kind: 'word', value: text.slice(start, i), start, end: i });
+  }
+  return tokens;
+}
+
+// A closing quote only counts when it ends a token, so apostrophes inside words
+// ("Raju's") do not open a quoted string that swallows the rest of the line.
+function findClosingQuote(text, from, close) {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === close && (i + 1 === text.length || /\s/.test(text[i + 1]))) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// "1h30m" → 5400000; null when the text is not a positive duration
+function parseDuration(text) {
+  const value = String(text).trim().toLowerCase();
+  if (!/^(\d+[smhdw])+$/.test(value)) return null;
+  let ms = 0;
+  for (const [, amount, unit] of value.matchAll(/(\d+)([smhdw])/g)) {
+    ms += Number(amount) * DURATION_UNITS[unit];
+  }
+  return ms > 0 ? ms : null;
+}
+
+// "18:30" (the next time the clock shows it) or "2026-12-31 18:30" in the
+// server's time zone → a timestamp; null when the text is not a time
+function parseTime(text, now = Date.now()) {
+  const value = String(text).trim();
+  const clock = /^(\d{1,2}):(\d{2})$/.exec(value);
+  if (clock) {
+    const [hours, minutes] = [Number(clock[1]), Number(clock[2])];
+    if (hours > 23 || minutes > 59) return null;
+    const at = new Date(now);
+    at.setHours(hours, minutes, 0, 0);
+    if (at.getTime() <= now) at.setDate(at.getDate() + 1);
+    return at.getTime();
+  }
+  const date = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{1,2}:\d{2}))?$/.exec(value);
+  if (!date) return null;
+  const at = new Date(`${date[1]}T${(date[2] || '00:00').padStart(5, '0')}`).getTime();
+  return Number.isFinite(at) ? at : null;
+}
+
+function isFlagToken(token, flags) {
+  if (token.kind !== 'word' || !token.value.startsWith('--')) return false;
+  const name = token.value.slice(2).split('=')[0];
+  return flags.some(flag => flag.name === name);
+}
+
+function convertParam(param, token) {
+  const { name, type = 'word' } = param;
+  if (type === 'user') {
+    if (token.kind === 'mention') return token.id;
+    if (USER_ID_PATTERN.test(token.value)) return token.value;
+    throw new UsageError('needsUser', { name });
+  }
+  if (type === 'integer' || type === 'number') {
+    const value = Number(token.value);
+    if (token.value === '' || !Number.isFinite(value) || (type === 'integer' && !Number.isInteger(value))) {
+      throw new UsageError('needsNumber', { name });
+    }
+    if ((param.min !== undefined && value < param.min) || (param.max !== undefined && value > param.max)) {
+      throw new UsageError('outOfRange', { name, min: param.min ?? '-∞', max: param.max ?? '∞' });
+    }
+    return value;
+  }
+  if (type === 'duration') {
+    const value = parseDuration(token.value);
+    if (value === null) throw new UsageError('needsDuration', { name });
+    return value;
+  }
+  if (type === 'time') {
+    const value = parseTime(token.value);
+    if (value === null || value <= Date.now()) throw new UsageError('needsTime', { name });
+    return value;
+  }
+  if (type === 'choice') {
+    const value = token.value.toLowerCase();
+    if (!param.choices.includes(value)) {
+      throw new UsageError('badChoice', { name, choices: param.choices.join(', ') });
+    }
+    return value;
+  }
+  return token.value;
+}
+
+function parseFlags(tokens, flagSpecs) {
+  const flags = {};
+  for (const spec of flagSpecs) {
+    if (spec.type === 'boolean') flags[spec.name] = false;
+    else if (spec.default !== undefined) flags[spec.name] = spec.default;
+  }
+  const rest = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.kind !== 'word' || !token.value.startsWith('--') || token.value.length === 2) {
+      rest.push(token);
+      continue;
+    }
+    const [name, inline] = token.value.slice(2).split(/=(.*)/s);
+    const spec = flagSpecs.find(flag => flag.name === name);
+    if (!spec) {
+      rest.push(token);
+      continue;
+    }
+    if (spec.type === 'boolean') {
+      flags[name] = true;
+      continue;
+    }
+    let valueToken = inline !== undefined ? { kind: 'word', value: inline } : tokens[++i];
+    if (!valueToken) {
+      throw new UsageError('flagNeedsValue', { name });
+    }
+    // An unquoted date and clock time (--at 2026-12-31 18:30) arrive as two words
+    const next = tokens[i + 1];
+    if (spec.type === 'time' && valueToken.kind === 'word' && /^\d{4}-\d{2}-\d{2}$/.test(valueToken.value) &&
+        next && next.kind === 'word' && /^\d{1,2}:\d{2}$/.test(next.value)) {
+      valueToken = { ...valueToken, value: `${valueToken.value} ${next.value}`, end: next.end };
+      i++;
+    }
+    flags[name] = convertParam({ ...spec, name: `--${name}` }, valueToken);
+  }
+  return { flags, rest };
+}
+
+// Matches the tokens against one usage entry. `text` is the input the token
+// offsets refer to, used to keep `text` params exactly as typed.
+function parseEntry(entry, text, tokens) {
+  const flagSpecs = entry.flags || [];
+  const params = {};
+  let i = entry.sub ? 1 : 0;
+
+  for (const param of entry.params || []) {
+    const type = param.type || 'word';
+    if (type === 'text') {
+      const stop = tokens.findIndex((token, index) => index >= i && isFlagToken(token, flagSpecs));
+      const textTokens = tokens.slice(i, stop === -1 ? tokens.length : stop);
+      if (textTokens.length === 0) {
+        if (!param.optional) throw new UsageError('missing', { name: param.name });
+        params[param.name] = param.default ?? null;
+      } else if (textTokens.length === 1 && textTokens[0].kind === 'quoted') {
+        params[param.name] = textTokens[0].value;
+      } else {
+        params[param.name] = text.slice(textTokens[0].start, textTokens[textTokens.length - 1].end);
+      }
+      i += textTokens.length;
+      continue;
+    }
+    if (type === 'users') {
+      const ids = [];
+      while (i < tokens.length && (tokens[i].kind === 'mention' || USER_ID_PATTERN.test(tokens[i].value))) {
+        ids.push(convertParam({ ...param, type: 'user' }, tokens[i++]));
+      }
+      if (ids.length === 0 && !param.optional) {
+        throw new UsageError('needsUsers', { name: param.name });
+      }
+      params[param.name] = ids;
+      continue;
+    }
+    const token = tokens[i];
+    if (!token || isFlagToken(token, flagSpecs)) {
+      if (!param.optional) throw new UsageError('missing', { name: param.name });
+      params[param.name] = param.default ?? null;
+      continue;
+    }
+    params[param.name] = convertParam(param, token);
+    i++;
+  }
+
+  const { flags, rest } = parseFlags(tokens.slice(i), flagSpecs);
+  if (rest.length > 0) {
+    const extra = rest[0].value;
+    throw extra.startsWith('--')
+      ? new UsageError('unknownFlag', { flag: extra.split('=')[0] })
+      : new UsageError('extraArgument', { value: extra });
+  }
+  return { sub: entry.sub || null, params, flags };
+}
+
+// Parses the text after the command name against `usage`. Entries are tried in
+// order; the first that fits wins. Throws UsageError listing the entries that
+// were relevant (those for the given subcommand, or all of them). A command
+// without usage entries takes anything.
+function parseArgs(usage, text, mentions = {}) {
+  const tokens = tokenize(text, mentions);
+  if (usage.length === 0) {
+    return { sub: null, params: {}, flags: {}, tokens };
+  }
+  const first = tokens[0] && tokens[0].kind === 'word' ? tokens[0].value.toLowerCase() : null;
+  const withSub = usage.filter(entry => entry.sub && entry.sub === first);
+  const candidates = withSub.length > 0 ? withSub : usage.filter(entry => !entry.sub);
+
+  if (candidates.length === 0) {
+    throw first
+      ? new UsageError('unknownSubcommand', { value: tokens[0].value }, usage)
+      : new UsageError('missingSubcommand', {}, usage);
+  }
+
+  let firstError = null;
+  for (const entry of candidates) {
+    try {
+      return { ...parseEntry(entry, text, tokens), tokens };
+    } catch (e) {
+      if (!(e instanceof UsageError)) throw e;
+      firstError = firstError || e;
+    }
+  }
+  throw new UsageError(firstError.code, firstError.vars, candidates);
+}
+
+// The argument part of a usage line, e.g. `on <group_name>` or `clear @user`
+function describeEntry(entry) {
+  const parts = entry.sub ? [entry.sub] : [];
+  for (const param of entry.params || []) {
+    let part;
+    if (param.type === 'user' || param.type === 'users') part = '@user';
+    else if (param.type === 'choice' && param.display) part = param.display;
+    else if (param.type === 'choice') part = param.choices.join('|');
+    else part = `<${param.name}>`;
+    if (param.optional) part = `[${part.replace(/^<(.*)>$/, '$1')}]`;
+    parts.push(part);
+  }
+  for (const flag of entry.flags || []) {
+    parts.push(flag.type === 'boolean' ? `[--${flag.name}]` : `[--${flag.name} <${flag.display || flag.name}>]`);
+  }
+  return parts.join(' ');
+}
+
+// Catches mistakes in a command's declared usage when it is registered
+function validateUsage(commandName, usage) {
+  for (const entry of usage) {
+    const params = entry.params || [];
+    params.forEach((param, index) => {
+      const type = param.type || 'word';
+      if (!PARAM_TYPES.includes(type)) {
+        throw new Error(`Command "${commandName}" param "${param.name}" has unknown type "${type}".`);
+      }
+      if (type === 'choice' && !Array.isArray(param.choices)) {
+        throw new Error(`Command "${commandName}" param "${param.name}" needs a choices list.`);
+      }
+      if (type === 'text' && index !== params.length - 1) {
+        throw new Error(`Command "${commandName}" param "${param.name}" takes the rest of the text, so it must come last.`);
+      }
+    });
+  }
+}
+
+module.exports = {
+  PARAM_TYPES,
+  UsageError,
+  parseDuration,
+  parseTime,
+  tokenize,
+  parseArgs,
+  describeEntry,
+  validateUsage
+};
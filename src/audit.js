@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const AUDIT_FILE = process.env.AUDIT_FILE || path.join(__dirname, '..', 'data', 'audit.log');
+
+const CSV_COLUMNS = ['at', 'threadID', 'actorID', 'type', 'action', 'participantID', 'oldValue', 'newValue', 'reverted', 'error'];
+
+// Appends one JSON line per entry; existing lines are never rewritten.
+function recordAudit(entry, filePath = AUDIT_FILE) {
+  const record = {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    threadID: null,
+    actorID: null,
+    type: null,
+    action: null,
+    participantID: null,
+    oldValue: null,
+    newValue: null,
+    reverted: false,
+    error: null,
+    ...entry
+  };
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.appendFileSync(filePath, JSON.stringify(record) + '\n');
+  return record;
+}
+
+function readAudit(filePath = AUDIT_FILE) {
+  if (!fs.existsSync(filePath)) return [];
+  const entries = [];
+  for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (e) {
+      // A torn last line from a crash mid-append; skip it
+    }
+  }
+  return entries;
+}
+
+// Newest first. Every filter is optional; `reverted` accepts true/false.
+function queryAudit(filters = {}, filePath = AUDIT_FILE) {
+  const { threadID, actorID, type, action, reverted, since, limit = 100 } = filters;
+  const sinceTime = since ? new Date(since).getTime() : null;
+  const matches = [];
+  const entries = readAudit(filePath);
+  for (let i = entries.length - 1; i >= 0 && matches.length < limit; i--) {
+    const entry = entries[i];
+    if (threadID && entry.threadID !== threadID) continue;
+    if (actorID && entry.actorID !== actorID) continue;
+    if (type && entry.type !== type) continue;
+    if (action && entry.action !== action) continue;
+    if (reverted !== undefined && entry.reverted !== reverted) continue;
+    if (sinceTime && new Date(entry.at).getTime() < sinceTime) continue;
+    matches.push(entry);
+  }
+  return matches;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function auditToCSV(entries) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const entry of entries) {
+    lines.push(CSV_COLUMNS.map(column => csvCell(entry[column])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  AUDIT_FILE,
+  recordAudit,
+  readAudit,
+  queryAudit,
+  auditToCSV
+};
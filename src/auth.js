@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'sadhin_sid';
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const MAX_FAILED_LOGINS = 5;
+const FAILED_LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+const sessions = new Map();
+const failedLogins = new Map();
+
+function getDashboardSecret() {
+  return process.env.DASHBOARD_PASSWORD || process.env.DASHBOARD_TOKEN || '';
+}
+
+function safeEqual(a, b) {
+  const left = crypto.createHash('sha256').update(String(a)).digest();
+  const right = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(left, right);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (e) {
+      cookies[name] = value;
+    }
+  }
+  return cookies;
+}
+
+function createSession() {
+  for (const [id, session] of sessions) {
+    if (session.expiresAt < Date.now()) sessions.delete(id);
+  }
+  const id = crypto.randomBytes(32).toString('hex');
+  const session = {
+    id,
+    csrfToken: crypto.randomBytes(32).toString('hex'),
+    expiresAt: Date.now() + SESSION_TTL_MS
+  };
+  sessions.set(id, session);
+  return session;
+}
+
+function getSessionFromCookieHeader(header) {
+  const id = parseCookies(header)[SESSION_COOKIE];
+  if (!id) return null;
+  const session = sessions.get(id);
+  if (!session) return null;
+  if (session.expiresAt < Date.now()) {
+    sessions.delete(id);
+    return null;
+  }
+  return session;
+}
+
+function getSession(req) {
+  return getSessionFromCookieHeader(req.headers.cookie);
+}
+
+function isLoginBlocked(ip) {
+  const entry = failedLogins.get(ip);
+  if (!entry) return false;
+  if (entry.firstAt + FAILED_LOGIN_WINDOW_MS < Date.now()) {
+    failedLogins.delete(ip);
+    return false;
+  }
+  return entry.count >= MAX_FAILED_LOGINS;
+}
+
+function recordFailedLogin(ip) {
+  const entry = failedLogins.get(ip) || { count: 0, firstAt: Date.now() };
+  entry.count++;
+  failedLogins.set(ip, entry);
+}
+
+function sessionCookie(req, value, maxAgeMs) {
+  const secure = req.secure || process.env.DASHBOARD_SECURE_COOKIE === 'true';
+  return `${SESSION_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${Math.floor(maxAgeMs / 1000)}${secure ? '; Secure' : ''}`;
+}
+
+function handleLogin(req, res) {
+  const secret = getDashboardSecret();
+  if (!secret) {
+    return res.status(503).send('Error: Dashboard login is disabled. Set DASHBOARD_PASSWORD or DASHBOARD_TOKEN.');
+  }
+  if (isLoginBlocked(req.ip)) {
+    return res.status(429).send('Error: Too many failed logins. Try again later.');
+  }
+  if (!safeEqual(req.body.password || '', secret)) {
+    recordFailedLogin(req.ip);
+    return res.status(401).send('Error: Wrong password.');
+  }
+  failedLogins.delete(req.ip);
+  const session = createSession();
+  res.setHeader('Set-Cookie', sessionCookie(req, session.id, SESSION_TTL_MS));
+  if (req.is('application/json')) {
+    return res.json({ csrfToken: session.csrfToken });
+  }
+  res.redirect('/');
+}
+
+function handleLogout(req, res) {
+  const session = getSession(req);
+  if (session) sessions.delete(session.id);
+  res.setHeader('Set-Cookie', sessionCookie(req, '', 0));
+  res.redirect('/login');
+}
+
+// Attaches req.session, or answers 401 (redirect to /login for page loads)
+function requireAuth(req, res, next) {
+  const session = getSession(req);
+  if (session) {
+    req.session = session;
+    return next();
+  }
+  if (req.method === 'GET' && req.accepts(['html', 'json']) === 'html') {
+    return res.redirect('/login');
+  }
+  res.status(401).json({ error: 'Authentication required.' });
+}
+
+// State-changing requests must echo the session's CSRF token
+function verifyCsrf(req, res, next) {
+  const token = req.get('x-csrf-token') || (req.body && req.body._csrf);
+  if (!req.session || !token || !safeEqual(token, req.session.csrfToken)) {
+    return res.status(403).json({ error: 'Invalid CSRF token.' });
+  }
+  next();
+}
+
+// Scrapers cannot log in, so /metrics takes a bearer token instead. Without
+// METRICS_TOKEN the endpoint is open, like /healthz.
+function requireMetricsToken(req, res, next) {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected) return next();
+  const header = req.get('authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+  if (!token || !safeEqual(token, expected)) {
+    return res.status(401).type('text/plain').send('Invalid metrics token.\n');
+  }
+  next();
+}
+
+function socketAuth(socket, next) {
+  const session = getSessionFromCookieHeader(socket.handshake.headers.cookie);
+  if (!session) return next(new Error('Authentication required.'));
+  socket.data.session = session;
+  next();
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  getDashboardSecret,
+  parseCookies,
+  getSession,
+  handleLogin,
+  handleLogout,
+  requireAuth,
+  verifyCsrf,
+  requireMetricsToken,
+  socketAuth
+};
@@ -0,0 +1,1251 @@
+const { createDefaultState, getLockedNickname, getThreadPolicy, loadState, saveState } = require('./state');
+const { updateConfig } = require('./config');
+const { can, getRole, listOwners, listModerators } = require('./roles');
+const { storeGroupPhoto, restoreGroupPhoto, hashImageAt } = require('./photo-lock');
+const { LockError, getLockStatus, lockTypeOf, isLockPaused, pauseLock, clearLockPause, adoptGroupName, adoptMemberNickname, setThreadAdminTrust, runScheduledChange, SETTING_LOCKS, getLockedSetting, restoreGroupSetting } = require('./locks');
+const { recordAudit } = require('./audit');
+const { createCommandRegistry, loadCommands, formatUsage } = require('./command-registry');
+const { UsageError, tokenize, parseArgs } = require('./args');
+const { createActionQueue, createQueuedApi } = require('./action-queue');
+const { createRevertGuard } = require('./revert-guard');
+const { lockedThreadIDs, findDrift } = require('./reconcile');
+const { createMetrics } = require('./metrics');
+const { BASE_LOCALE, createTranslator } = require('./i18n');
+const { getGreetings, updateGreetings, createJoinBatcher } = require('./greetings');
+const { getMemberProtection, isProtectedMember } = require('./members');
+const { getFloodSettings, updateFloodSettings, createFloodDetector, listStruckMembers, countActiveStrikes, addStrike, resetStrikes } = require('./flood');
+const { SCHEDULE_ACTOR, timingFromFlags, addSchedule, listSchedules, cancelSchedule, cancelExpiries, takeDueSchedules, nextScheduleAt, formatScheduleTime } = require('./schedule');
+
+// setTimeout fires at once for delays above this, so far-off schedules re-arm
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+function describeThread(thread) {
+  const members = thread.participantIDs || thread.participants || [];
+  return {
+    threadID: thread.threadID,
+    name: thread.threadName || thread.name || null,
+    memberCount: members.length
+  };
+}
+
+// Extra reply line for a nickname fan-out (see changeNicknames in src/locks.js)
+// where some members could not be renamed. `t` renders a reply template.
+function describeNicknameFailures(result, t) {
+  const failed = (result && result.failed) || [];
+  if (failed.length === 0) return '';
+  return t('general.nicknameFailures', { count: failed.length, ids: failed.map(f => f.participantID).join(', ') });
+}
+
+// Command and event handling for one bot. The Messenger API is passed into every
+// handler rather than held globally, so the same code runs against ws3-fca and
+// the in-memory fake in test/support/fake-api.js.
+// `broadcast(event, payload)` forwards dashboard updates (Socket.IO in index.js).
+// Commands come from src/commands unless `commands` is given. Every outbound
+// Messenger call goes through `queue` (see src/action-queue.js); `revertGuard`
+// stops reverts from looping forever (see src/revert-guard.js). Counters and
+// gauges are registered on `metrics` (see src/metrics.js). Replies come from the
+// locale packs in `i18n` (see src/i18n.js). `joinBatcher` combines welcomes for
+// members joining close together (see src/greetings.js).
+function createBot({ emitLog, broadcast = () => {}, commands = loadCommands(), queue = createActionQueue({ emitLog }), revertGuard = createRevertGuard(), metrics = createMetrics(), i18n = createTranslator(), joinBatcher = createJoinBatcher(), floodDetector = createFloodDetector() }) {
+  // Lock state is persisted to disk by src/state.js; sessions below are runtime-only.
+  let state = createDefaultState();
+  // A null signature or separator uses the one from the group's locale
+  const settings = { prefix: '/', botNickname: 'BOT TAKLA', locale: BASE_LOCALE, signature: null, separator: null };
+  const fightSessions = {};
+  const targetSessions = {};
+  let joinedGroups = new Map();
+  let reconcileRunning = false;
+  let reconcileTimer = null;
+  let scheduleTimer = null;
+  let scheduleApi = null;
+  // Messenger admins of each thread, read from getThreadInfo on first use
+  const threadAdmins = new Map();
+  const registry = createCommandRegistry(commands);
+  const counters = registerMetrics();
+
+  // `api` with its outbound calls queued. Reverts pass 'revert' to go ahead of
+  // command actions and chat messages.
+  function outbound(api, priority = 'action') {
+    return createQueuedApi(api, queue, priority);
+  }
+
+  function registerMetrics() {
+    const outboundTotals = (field) => () => Object.entries(queue.stats())
+      .map(([method, totals]) => ({ labels: { method }, value: totals[field] }));
+    metrics.counter('outbound_calls_total', 'Outbound Messenger calls that finished, by method.', outboundTotals('calls'));
+    metrics.counter('outbound_failures_total', 'Outbound Messenger calls that failed after all retries, by method.', outboundTotals('failures'));
+    metrics.counter('outbound_retries_total', 'Outbound Messenger calls retried after a transient error, by method.', outboundTotals('retries'));
+    metrics.gauge('outbound_queue_size', 'Outbound Messenger calls waiting in the queue.', () => queue.size());
+    metrics.gauge('joined_groups', 'Groups the bot is a member of.', () => joinedGroups.size);
+    metrics.gauge('active_locks', 'Locks currently enforced, by type.', () => Object.entries(countActiveLocks())
+      .map(([type, value]) => ({ labels: { type }, value })));
+    return {
+      events: metrics.counter('events_total', 'MQTT events received, by logMessageType (or event type for messages).'),
+      commands: metrics.counter('commands_total', 'Commands run, by name and outcome.'),
+      reverts: metrics.counter('lock_reverts_total', 'Lock changes put back, by lock type, source and result.'),
+      floodStrikes: metrics.counter('flood_strikes_total', 'Flood strikes given, by rule and action.'),
+      crashes: metrics.counter('handler_crashes_total', 'Events whose handler threw.')
+    };
+  }
+
+  function countActiveLocks() {
+    const counts = { name: 0, 'name-auto-clear': 0, nickname: 0, 'nickname-auto-clear': 0, 'member-nickname': 0, photo: 0 };
+    for (const [threadID, policy] of Object.entries(state.threadPolicies)) {
+      if (policy.nameLock && state.lockedGroups[threadID]) counts.name++;
+      if (policy.nameAutoClear) counts['name-auto-clear']++;
+      if (policy.nickLock) counts.nickname++;
+      if (policy.nickAutoClear) counts['nickname-auto-clear']++;
+    }
+    for (const pins of Object.values(state.lockedNicknames)) {
+      counts['member-nickname'] += Object.keys(pins).length;
+    }
+    counts.photo = Object.keys(state.lockedGroupPhoto).length;
+    for (const [type, setting] of Object.entries(SETTING_LOCKS)) {
+      counts[type] = Object.keys(state[setting.stateKey]).length;
+    }
+    return counts;
+  }
+
+  function localeOf(threadID) {
+    const locale = threadID && state.threadPolicies[threadID]?.locale;
+    return locale && i18n.has(locale) ? locale : settings.locale;
+  }
+
+  // Renders reply template `key` in the locale of `threadID` (null: the default)
+  function t(threadID, key, vars = {}) {
+    return i18n.t(localeOf(threadID), key, { prefix: settings.prefix, ...vars });
+  }
+
+  // A message starting with `key`'s text that mentions `authorID` by name
+  async function mentionMessage(api, threadID, key, authorID, vars = {}) {
+    let authorName = 'User';
+    try {
+      const userInfo = await api.getUserInfo(authorID);
+      authorName = userInfo[authorID]?.name || authorName;
+    } catch (e) {
+      emitLog('❌ Error fetching user info: ' + e.message, true);
+    }
+    const body = t(threadID, key, { ...vars, author: authorName });
+    const fromIndex = body.indexOf(authorName);
+    return fromIndex === -1 ? { body } : { body, mentions: [{ tag: authorName, id: authorID, fromIndex }] };
+  }
+
+  function loadPersistedState() {
+    try {
+      state = loadState();
+      emitLog('✅ Lock state loaded from disk.');
+    } catch (e) {
+      emitLog('❌ Failed to load lock state, starting with empty locks: ' + e.message, true);
+      state = createDefaultState();
+    }
+  }
+
+  function persistState() {
+    try {
+      saveState(state);
+    } catch (e) {
+      emitLog('❌ Failed to save lock state: ' + e.message, true);
+    }
+  }
+
+  function writeAudit(entry) {
+    try {
+      return recordAudit(entry);
+    } catch (e) {
+      emitLog('❌ Failed to write audit entry: ' + e.message, true);
+      return { ...entry, at: new Date().toISOString() };
+    }
+  }
+
+  // Runs a lock change from src/locks.js, saves state even when the Messenger call
+  // fails, and records who made the change. Rejected input (LockError) is not audited.
+  // Setting a lock again also ends any revert-loop pause on it, and a change made
+  // by hand drops the lock's pending expiry.
+  async function applyLockChange(audit, operation) {
+    let error = null;
+    try {
+      return await operation();
+    } catch (e) {
+      error = e;
+      throw e;
+    } finally {
+      if (!(error instanceof LockError)) {
+        if (audit.type !== 'member-nickname') clearLockPause(state, audit.threadID, audit.type);
+        revertGuard.reset(audit.threadID, lockTypeOf(audit.type));
+        if (audit.actorID !== SCHEDULE_ACTOR) cancelExpiries(state, audit.threadID, audit.type, participantsOf(audit));
+      }
+      persistState();
+      emitGroups();
+      if (!(error instanceof LockError)) {
+        writeAudit({ ...audit, error: error ? error.message : null });
+      }
+    }
+  }
+
+  // The members a member-nickname change is about; null means all of them
+  function participantsOf(audit) {
+    if (audit.type !== 'member-nickname' || !audit.participantID || audit.participantID === 'all') return null;
+    return audit.participantID.split(' ');
+  }
+
+  // A lock command with timing flags (see TIMING_FLAGS): --at/--in save the
+  // change for later instead of running it, and --for saves when it ends.
+  // `participantIDs` are the members of a member-nickname lock. A lock whose
+  // Messenger call failed is still saved, so it still gets its expiry.
+  async function applyTimedLockChange(audit, operation, flags, participantIDs = null) {
+    const { startAt, expiresAt, notify } = timingFromFlags(flags);
+    const entry = { threadID: audit.threadID, type: audit.type, participantIDs, notify, createdBy: audit.actorID };
+    let result = null;
+    let error = null;
+    try {
+      if (!startAt) result = await applyLockChange(audit, operation);
+    } catch (e) {
+      error = e;
+      throw e;
+    } finally {
+      if (!(error instanceof LockError) && (startAt || expiresAt)) {
+        if (startAt) addSchedule(state, { ...entry, action: 'lock', value: audit.newValue, at: startAt });
+        if (expiresAt) addSchedule(state, { ...entry, action: 'unlock', at: expiresAt });
+        persistState();
+        emitGroups();
+        armSchedules();
+      }
+    }
+    return { result, startAt, expiresAt };
+  }
+
+  // Runs the schedule entries that are due, each audited as the 'schedule' actor
+  async function runDueSchedules(api, now = Date.now()) {
+    const due = takeDueSchedules(state, now);
+    if (due.length === 0) return 0;
+    persistState();
+    const queued = outbound(api);
+    for (const entry of due) {
+      const { threadID, type, action } = entry;
+      const audit = { threadID, actorID: SCHEDULE_ACTOR, type, action, newValue: entry.value, participantID: entry.participantIDs ? entry.participantIDs.join(' ') : null };
+      try {
+        await applyLockChange(audit, () => runScheduledChange(queued, state, entry));
+        emitLog(`⏰ Scheduled ${action} of the ${type} lock ran in ${threadID}`);
+        if (entry.notify) {
+          const key = action === 'lock' ? 'events.scheduledLockApplied' : 'events.lockExpired';
+          await queued.sendMessage(t(threadID, key, { lock: t(threadID, `general.lockNames.${type}`) }), threadID);
+        }
+      } catch (e) {
+        emitLog(`❌ Scheduled ${action} of the ${type} lock failed in ${threadID}: ${e.message}`, true);
+      }
+    }
+    return due.length;
+  }
+
+  function armSchedules() {
+    clearTimeout(scheduleTimer);
+    scheduleTimer = null;
+    const next = nextScheduleAt(state);
+    if (!scheduleApi || next === null) return;
+    scheduleTimer = setTimeout(async () => {
+      scheduleTimer = null;
+      await runDueSchedules(scheduleApi);
+      armSchedules();
+    }, Math.min(Math.max(next - Date.now(), 0), MAX_TIMER_MS));
+    scheduleTimer.unref?.();
+  }
+
+  // Runs whatever came due while the bot was offline, then waits for the next entry
+  async function startSchedules(api) {
+    scheduleApi = api;
+    await runDueSchedules(api);
+    armSchedules();
+  }
+
+  function stopSchedules() {
+    scheduleApi = null;
+    armSchedules();
+  }
+
+  // Returns the cancelled entry, or null if the group has no entry `id`
+  function cancelGroupSchedule(threadID, id) {
+    const entry = cancelSchedule(state, threadID, id);
+    if (!entry) return null;
+    persistState();
+    emitGroups();
+    armSchedules();
+    emitLog(`🗑️ Schedule #${entry.id} (${entry.action} ${entry.type}) cancelled in ${threadID}`);
+    return entry;
+  }
+
+  // One line per pending entry of the group, for /schedule and /status
+  function describeSchedules(threadID, joiner = '\n') {
+    const entries = listSchedules(state, threadID);
+    if (entries.length === 0) return t(threadID, 'general.none');
+    return entries.map(entry => t(threadID, 'general.scheduleEntry', {
+      id: entry.id,
+      at: formatScheduleTime(entry.at),
+      lock: t(threadID, `general.lockNames.${entry.type}`),
+      action: t(threadID, entry.action === 'lock' ? 'general.on' : 'general.off'),
+      value: entry.value ? ` "${entry.value}"` : ''
+    })).join(joiner);
+  }
+
+  // The reply to a timed lock command: when the lock starts and ends, or just
+  // `lockedText` when it took effect now and stays until turned off
+  function describeTiming(threadID, timed, lockedText) {
+    const until = timed.expiresAt ? t(threadID, 'commands.schedule.until', { at: formatScheduleTime(timed.expiresAt) }) : '';
+    if (timed.startAt) return t(threadID, 'commands.schedule.queued', { at: formatScheduleTime(timed.startAt), until });
+    return lockedText + until;
+  }
+
+  // Reverts a tamper attempt, then records it in the audit log and the dashboard
+  // feed. Returns whether it was reverted right away; a paused lock is left
+  // alone, and a lock caught in a revert loop is reverted late or paused.
+  async function revertTamper(api, threadID, type, details, revert) {
+    if (isLockPaused(state, threadID, type)) return false;
+    const verdict = revertGuard.record(threadID, type);
+    if (verdict.action === 'pause') {
+      await pauseForConflict(api, threadID, type, details, verdict.count);
+      return false;
+    }
+    if (verdict.action === 'defer') {
+      emitLog(`⏳ ${type} lock in ${threadID} keeps getting changed, reverting in ${verdict.delayMs}ms`);
+      revertGuard.defer(threadID, type, verdict.delayMs, () => runRevert(threadID, type, details, revert));
+      return false;
+    }
+    return runRevert(threadID, type, details, revert);
+  }
+
+  async function runRevert(threadID, type, details, revert) {
+    if (isLockPaused(state, threadID, type)) return false;
+    let error = null;
+    try {
+      await revert();
+    } catch (e) {
+      error = e.message;
+      emitLog(`❌ Failed to revert ${type} change in ${threadID}: ${error}`, true);
+    }
+    const entry = writeAudit({ threadID, type, action: 'tamper', ...details, reverted: !error, error });
+    emitLockEvent(entry);
+    counters.reverts.inc({ type, source: 'event', result: error ? 'failed' : 'reverted' });
+    return !error;
+  }
+
+  // Stops a lock from fighting whoever keeps changing it back, records the
+  // conflict and tells the bot owners
+  async function pauseForConflict(api, threadID, type, details, attempts) {
+    pauseLock(state, threadID, type, { actorID: details.actorID, attempts });
+    persistState();
+    const entry = writeAudit({ threadID, type, action: 'conflict', ...details, reverted: false, error: null });
+    emitLockEvent(entry);
+    emitLog(`⚠️ ${type} lock in ${threadID} paused: ${details.actorID} changed it ${attempts} times in a row`, true);
+
+    const notice = t(null, 'events.lockConflict', { threadID, type, actorID: details.actorID, attempts });
+    const owners = listOwners(state);
+    const results = await Promise.allSettled(owners.map(ownerID => api.sendMessage(notice, ownerID)));
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        emitLog(`❌ Could not notify owner ${owners[i]} about the conflict: ${result.reason.message}`, true);
+      }
+    });
+  }
+
+  // Routes one event from listenMqtt to its handler
+  async function handleEvent(api, event) {
+    counters.events.inc({ type: event.logMessageType || event.type });
+    try {
+      if (event.type === 'message' || event.type === 'message_reply') {
+        await handleMessage(api, event);
+      } else if (event.logMessageType === 'log:thread-name') {
+        await handleThreadNameChange(api, event);
+      } else if (event.logMessageType === 'log:user-nickname') {
+        await handleNicknameChange(api, event);
+      } else if (event.logMessageType === 'log:thread-image') {
+        await handleGroupImageChange(api, event);
+      } else if (event.logMessageType === 'log:thread-icon') {
+        await handleThreadEmojiChange(api, event);
+      } else if (event.logMessageType === 'log:thread-color') {
+        await handleThreadColorChange(api, event);
+      } else if (event.logMessageType === 'log:thread-approval-mode') {
+        await handleApprovalModeChange(api, event);
+      } else if (event.logMessageType === 'log:subscribe') {
+        await handleBotAddedToGroup(api, event);
+        await handleMembersJoined(api, event);
+      } else if (event.logMessageType === 'log:unsubscribe') {
+        await handleMemberLeft(api, event);
+      } else if (event.logMessageType === 'log:thread-admins') {
+        handleThreadAdminsChange(event);
+      }
+    } catch (e) {
+      counters.crashes.inc();
+      emitLog(`❌ Handler crashed: ${e.message}. Event: ${event.type}`, true);
+    }
+  }
+
+  async function setBotNicknamesInGroups(api) {
+    api = outbound(api);
+    try {
+      const threads = await api.getThreadList(100, null, ['GROUP']);
+      const botID = api.getCurrentUserID();
+      for (const thread of threads) {
+          try {
+              const threadInfo = await api.getThreadInfo(thread.threadID);
+              if (threadInfo && threadInfo.nicknames && threadInfo.nicknames[botID] !== settings.botNickname) {
+                  await api.changeNickname(settings.botNickname, thread.threadID, botID);
+                  emitLog(`✅ Bot's nickname set in group: ${thread.threadID}`);
+              }
+          } catch (e) {
+              emitLog(`❌ Error setting nickname in group ${thread.threadID}: ${e.message}`, true);
+          }
+          await new Promise(resolve => setTimeout(resolve, 500)); // Thoda sa delay
+      }
+    } catch (e) {
+      emitLog(`❌ Error getting thread list for nickname check: ${e.message}`, true);
+    }
+  }
+
+  async function sendStartupMessage(api) {
+    try {
+      const threads = await api.getThreadList(100, null, ['GROUP']);
+      const results = await Promise.allSettled(threads.map(thread => outbound(api).sendMessage(t(thread.threadID, 'events.startup'), thread.threadID)));
+      results.forEach((result, i) => {
+        if (result.status === 'rejected') {
+          emitLog(`❌ Error sending startup message to ${threads[i].threadID}: ${result.reason.message}`, true);
+        }
+      });
+      const sent = results.filter(result => result.status === 'fulfilled').length;
+      emitLog(`✅ Startup message sent to ${sent}/${threads.length} groups.`);
+    } catch (e) {
+      emitLog(`❌ Error getting thread list for startup message: ${e.message}`, true);
+    }
+  }
+
+  async function updateJoinedGroups(api) {
+    try {
+      const threads = await api.getThreadList(100, null, ['GROUP']);
+      joinedGroups = new Map(threads.map(t => [t.threadID, describeThread(t)]));
+      emitGroups();
+      emitLog('✅ Joined groups list updated successfully.');
+    } catch (e) {
+      emitLog('❌ Failed to update joined groups: ' + e.message, true);
+    }
+  }
+
+  async function handleBotAddedToGroup(api, event) {
+    api = outbound(api);
+    const { threadID, logMessageData } = event;
+    const botID = api.getCurrentUserID();
+
+    if (logMessageData.addedParticipants.some(p => p.userFbId === botID)) {
+      try {
+        await api.changeNickname(settings.botNickname, threadID, botID);
+        await api.sendMessage(t(threadID, 'events.botAdded'), threadID);
+        emitLog(`✅ Bot added to new group: ${threadID}. Sent welcome message and set nickname.`);
+        updateJoinedGroups(api);
+      } catch (e) {
+        emitLog('❌ Error handling bot addition: ' + e.message, true);
+      }
+    }
+  }
+
+  // Names of `userIDs`, falling back to the names Messenger sent with the event
+  async function userNames(api, userIDs, known = {}) {
+    let info = {};
+    try {
+      info = await api.getUserInfo(userIDs);
+    } catch (e) {
+      emitLog('❌ Error fetching user info: ' + e.message, true);
+    }
+    return userIDs.map(id => info[id]?.name || known[id] || 'User');
+  }
+
+  // `body` with every member in `people` ({ id, name }) mentioned where their
+  // name appears, in order
+  function withMentions(body, people) {
+    const mentions = [];
+    let from = 0;
+    for (const { id, name } of people) {
+      const fromIndex = body.indexOf(name, from);
+      if (fromIndex === -1) continue;
+      mentions.push({ tag: name, id, fromIndex });
+      from = fromIndex + name.length;
+    }
+    return mentions.length ? { body, mentions } : { body };
+  }
+
+  // A group's own template, or the locale's when it has none
+  function greetingText(threadID, template, key, vars) {
+    return template ? i18n.render(template, { prefix: settings.prefix, ...vars }) : t(threadID, key, vars);
+  }
+
+  // New members get the group's locked nickname (if asked to) right away and
+  // one combined welcome once the join window closes
+  async function handleMembersJoined(api, event) {
+    const { threadID, logMessageData } = event;
+    const botID = api.getCurrentUserID();
+    const added = logMessageData.addedParticipants
+      .map(p => ({ id: String(p.userFbId), name: p.fullName || null }))
+      .filter(member => member.id !== botID);
+    const joined = await enforceJoinAllowList(api, event, added);
+    if (joined.length === 0) return;
+    const greetings = getGreetings(state, threadID);
+
+    if (greetings.autoNickname && !isLockPaused(state, threadID, 'nickname')) {
+      const queued = outbound(api);
+      for (const member of joined) {
+        const nickname = getLockedNickname(state, threadID, member.id);
+        if (!nickname) continue;
+        try {
+          await queued.changeNickname(nickname, threadID, member.id);
+          emitLog(`🏷️ Gave new member ${member.id} the locked nickname in ${threadID}`);
+        } catch (e) {
+          emitLog(`❌ Could not set the nickname of new member ${member.id} in ${threadID}: ${e.message}`, true);
+        }
+      }
+    }
+
+    if (greetings.welcome) {
+      joinBatcher.add(threadID, joined, (members) => sendWelcome(api, threadID, members));
+    }
+  }
+
+  // In allow-list mode only moderators (and the bot) may add people. Anyone
+  // else's additions are removed again, except protected members, and the
+  // group's moderators are told privately. Returns the members who may stay.
+  async function enforceJoinAllowList(api, event, added) {
+    const { threadID } = event;
+    const authorID = String(event.authorID ?? event.author);
+    if (added.length === 0 || !getMemberProtection(state, threadID).joinAllowList) return added;
+    if (authorID === api.getCurrentUserID() || can(state, authorID, 'members.manage', threadID)) return added;
+
+    const queued = outbound(api, 'revert');
+    const blocked = added.filter(member => !isProtectedMember(state, threadID, member.id));
+    for (const member of blocked) {
+      let error = null;
+      try {
+        await queued.removeUserFromGroup(member.id, threadID);
+      } catch (e) {
+        error = e.message;
+        emitLog(`❌ Could not remove ${member.id}, added to ${threadID} by ${authorID}: ${error}`, true);
+      }
+      emitLockEvent(writeAudit({ threadID, type: 'member', action: 'join-blocked', actorID: authorID, participantID: member.id, oldValue: null, newValue: member.name, reverted: !error, error }));
+    }
+    if (blocked.length > 0) {
+      emitLog(`🚫 Allow-list: removed ${blocked.length} member(s) added by ${authorID} in ${threadID}`);
+      const names = await userNames(queued, [authorID, ...blocked.map(member => member.id)], Object.fromEntries(blocked.map(member => [member.id, member.name])));
+      await notifyModerators(queued, threadID, t(threadID, 'events.joinBlocked', {
+        author: names[0],
+        names: names.slice(1).join(', '),
+        group: joinedGroups.get(threadID)?.name || threadID
+      }));
+    }
+    return added.filter(member => !blocked.includes(member));
+  }
+
+  // Sends `notice` privately to the group's moderators, or to the bot owners
+  // when the group has none
+  async function notifyModerators(api, threadID, notice) {
+    const moderators = listModerators(state, threadID);
+    const recipients = moderators.length > 0 ? moderators : listOwners(state);
+    const results = await Promise.allSettled(recipients.map(userID => api.sendMessage(notice, userID)));
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        emitLog(`❌ Could not notify ${recipients[i]} about ${threadID}: ${result.reason.message}`, true);
+      }
+    });
+  }
+
+  // Adds a protected member back after someone else removed them
+  async function restoreProtectedMember(api, threadID, memberID, authorID) {
+    api = outbound(api, 'revert');
+    const reverted = await runRevert(threadID, 'member', { actorID: authorID, participantID: memberID, oldValue: null, newValue: 'removed' },
+      () => api.addUserToGroup(memberID, threadID));
+    if (!reverted) return;
+    emitLog(`🛡️ Protected member ${memberID} added back to ${threadID} after ${authorID} removed them`);
+    const [name] = await userNames(api, [memberID]);
+    await api.sendMessage(await mentionMessage(api, threadID, 'events.memberRestored', authorID, { name }), threadID);
+  }
+
+  async function sendWelcome(api, threadID, members) {
+    if (members.length === 0) return;
+    try {
+      const greetings = getGreetings(state, threadID);
+      if (!greetings.welcome) return;
+      const known = Object.fromEntries(members.map(member => [member.id, member.name]));
+      const names = await userNames(api, members.map(member => member.id), known);
+      const people = members.map((member, i) => ({ id: member.id, name: names[i] }));
+      const rules = greetings.rules ? t(threadID, 'events.welcomeRules', { rules: greetings.rules }) : '';
+      const body = greetingText(threadID, greetings.welcomeTemplate, 'events.welcome', {
+        names: names.join(', '),
+        count: members.length,
+        group: joinedGroups.get(threadID)?.name || '',
+        rules
+      });
+      if (!body) return;
+      await outbound(api).sendMessage(withMentions(body, people), threadID);
+      emitLog(`👋 Welcomed ${members.length} new member(s) in ${threadID}`);
+    } catch (e) {
+      emitLog(`❌ Error sending welcome in ${threadID}: ${e.message}`, true);
+    }
+  }
+
+  async function handleMemberLeft(api, event) {
+    const { threadID, logMessageData } = event;
+    const memberID = String(logMessageData.leftParticipantFbId);
+    if (memberID === api.getCurrentUserID()) {
+      joinBatcher.cancel(threadID);
+      emitLog(`👋 Bot left or was removed from group ${threadID}`);
+      await updateJoinedGroups(outbound(api));
+      return;
+    }
+    joinBatcher.remove(threadID, memberID);
+
+    // The bot's own removals (allow-list, flood) already announced themselves
+    const authorID = String(event.authorID ?? event.author);
+    if (authorID === api.getCurrentUserID()) return;
+
+    // Leaving on their own is always allowed; being removed is not
+    if (authorID !== memberID && isProtectedMember(state, threadID, memberID) && !can(state, authorID, 'locks.bypass', threadID)) {
+      return restoreProtectedMember(api, threadID, memberID, authorID);
+    }
+
+    const greetings = getGreetings(state, threadID);
+    if (!greetings.farewell) return;
+    try {
+      const [name] = await userNames(outbound(api), [memberID]);
+      const body = greetingText(threadID, greetings.farewellTemplate, 'events.farewell', {
+        name,
+        group: joinedGroups.get(threadID)?.name || ''
+      });
+      if (body) await outbound(api).sendMessage(withMentions(body, [{ id: memberID, name }]), threadID);
+    } catch (e) {
+      emitLog(`❌ Error sending farewell in ${threadID}: ${e.message}`, true);
+    }
+  }
+
+  function getGroupSummaries() {
+    return Array.from(joinedGroups.values()).map(group => ({
+      ...group,
+      locale: state.threadPolicies[group.threadID]?.locale || null,
+      greetings: getGreetings(state, group.threadID),
+      members: getMemberProtection(state, group.threadID),
+      flood: getFloodSettings(state, group.threadID),
+      strikes: listStruckMembers(state, group.threadID).map(({ userID, strikes }) => ({ userID, count: strikes.length })),
+      locks: getLockStatus(state, group.threadID)
+    }));
+  }
+
+  function emitGroups() {
+      broadcast('groupsUpdate', getGroupSummaries());
+  }
+
+  // Live feed for the dashboard whenever a lock is tampered with or enforced
+  function emitLockEvent(entry) {
+    emitGroups();
+    broadcast('lockEvent', entry);
+  }
+
+  // Frames a reply with the sender's mention, the signature and the separator
+  async function formatMessage(api, event, mainMessage) {
+      const { senderID, threadID } = event;
+      let senderName = 'User';
+      try {
+        const userInfo = await api.getUserInfo(senderID);
+        senderName = userInfo && userInfo[senderID] && userInfo[senderID].name ? userInfo[senderID].name : 'User';
+      } catch (e) {
+        emitLog('❌ Error fetching user info: ' + e.message, true);
+      }
+
+      const header = t(threadID, 'frame.header', { name: senderName });
+      const signature = settings.signature ?? t(threadID, 'frame.signature');
+      const separator = settings.separator ?? t(threadID, 'frame.separator');
+      const finalMessage = `${header ? header + '\n' : ''}${mainMessage}${signature}${separator}`;
+
+      const fromIndex = header.indexOf(senderName);
+      return {
+          body: finalMessage,
+          mentions: fromIndex === -1 ? [] : [{ tag: senderName, id: senderID, fromIndex }]
+      };
+  }
+
+  // Sends the standard denial and returns false when the sender lacks `capability` here
+  async function authorize(api, event, capability) {
+    if (can(state, event.senderID, capability, event.threadID)) return true;
+    const reply = await formatMessage(api, event, t(event.threadID, 'general.permissionDenied'));
+    await api.sendMessage(reply, event.threadID);
+    return false;
+  }
+
+  // Everything a command module's run() receives. `params`, `flags` and
+  // `subcommand` come from the command's usage; `args` are the raw token values.
+  function createCommandContext(api, event, parsed, reply) {
+    const { threadID } = event;
+    return {
+      api,
+      event,
+      args: parsed.tokens.map(token => token.value),
+      params: parsed.params,
+      flags: parsed.flags,
+      subcommand: parsed.sub,
+      threadID,
+      senderID: event.senderID,
+      mentions: event.mentions || {},
+      prefix: settings.prefix,
+      state,
+      settings,
+      registry,
+      fightSessions,
+      targetSessions,
+      applyLockChange,
+      applyTimedLockChange,
+      cancelGroupSchedule,
+      persistState,
+      emitLog,
+      updateBotNickname,
+      describeMemberNickLocks: (joiner) => describeMemberNickLocks(api, threadID, joiner),
+      userNames: (userIDs) => userNames(outbound(api), userIDs),
+      describeSchedules: (joiner) => describeSchedules(threadID, joiner),
+      describeTiming: (timed, lockedText) => describeTiming(threadID, timed, lockedText),
+      describeNicknameFailures: (result) => describeNicknameFailures(result, (key, vars) => t(threadID, key, vars)),
+      t: (key, vars) => t(threadID, key, vars),
+      hasKey: (key) => i18n.hasKey(key),
+      locale: localeOf(threadID),
+      locales: i18n.list(),
+      setGroupLocale,
+      updateGroupGreetings,
+      setGroupAdminTrust,
+      updateGroupFlood,
+      resetMemberStrikes,
+      reply
+    };
+  }
+
+  // Checks the command's capability, parses `text` against its usage, then runs
+  // it. Bad arguments get the matching usage lines back; errors are logged and
+  // answered with the command's `errorReply` (a template key or plain text).
+  async function runCommand(api, event, command, text) {
+    const count = (outcome) => counters.commands.inc({ command: command.name, outcome });
+    if (command.capability && !(await authorize(api, event, command.capability))) return count('denied');
+    const reply = async (message) => {
+      if (!message) return undefined;
+      return api.sendMessage(await formatMessage(api, event, message), event.threadID);
+    };
+    try {
+      let parsed;
+      try {
+        parsed = parseArgs(command.usage, text, event.mentions || {});
+      } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        count('usage');
+        return await reply(t(event.threadID, 'general.usageError', {
+          error: t(event.threadID, `usage.${error.code}`, error.vars),
+          usage: formatUsage(command, settings.prefix, error.entries)
+        }));
+      }
+      await command.run(createCommandContext(api, event, parsed, reply));
+      count('ok');
+    } catch (error) {
+      count('error');
+      emitLog(`❌ Error in ${command.name} command: ${error.message}`, true);
+      if (command.errorReply) {
+        const text = i18n.hasKey(command.errorReply) ? t(event.threadID, command.errorReply) : command.errorReply;
+        await api.sendMessage(text, event.threadID);
+      }
+    }
+  }
+
+  async function handleMessage(api, event) {
+    api = outbound(api);
+    try {
+      const { threadID, senderID, body, mentions } = event;
+      const isAdmin = Boolean(getRole(state, senderID, threadID));
+
+      const say = async (text) => {
+        if (text) await api.sendMessage(await formatMessage(api, event, text), threadID);
+      };
+
+      if (await checkFlood(api, event)) return;
+
+      // First, check for mention of the owners
+      if (Object.keys(mentions || {}).some(id => listOwners(state).includes(id))) {
+        return await say(t(threadID, 'chat.ownerMentioned'));
+      }
+
+      // Now, check for trigger words from the group's locale
+      if (body) {
+        const lowerCaseBody = body.toLowerCase();
+        const triggers = i18n.raw(localeOf(threadID), 'chat.triggers') || {};
+        const trigger = Object.keys(triggers).find(word => lowerCaseBody.includes(word.toLowerCase()));
+        if (trigger) {
+          return await say(i18n.render(triggers[trigger], { prefix: settings.prefix }));
+        }
+        if (lowerCaseBody.trim() === 'bot') {
+          return await say(t(threadID, 'chat.botCalled'));
+        }
+      }
+
+      // Now, handle commands
+      if (!body || !body.startsWith(settings.prefix)) return;
+      const input = body.slice(settings.prefix.length);
+      const [nameToken] = tokenize(input);
+      const name = nameToken ? nameToken.value.toLowerCase() : '';
+      const command = registry.get(name);
+      if (command) {
+        return await runCommand(api, event, command, input.slice(nameToken.end));
+      }
+
+      const suggestion = registry.suggest(name);
+      const key = suggestion ? 'commandNotFound.suggestion' : isAdmin ? 'commandNotFound.admin' : 'commandNotFound.member';
+      await say(t(threadID, key, { name, suggestion: suggestion?.name }));
+    } catch (err) {
+      emitLog('❌ Error in handleMessage: ' + err.message, true);
+    }
+  }
+
+  // Counts the message against the group's flood limits. A sender over a limit
+  // gets a strike and the action for how many strikes they have lately.
+  // Returns whether the message was flood.
+  async function checkFlood(api, event) {
+    const { threadID, senderID, body, mentions } = event;
+    const flood = getFloodSettings(state, threadID);
+    if (!flood.enabled || senderID === api.getCurrentUserID() || can(state, senderID, 'locks.bypass', threadID)) return false;
+    const hit = floodDetector.record(threadID, senderID, { body: body || '', mentionCount: Object.keys(mentions || {}).length }, flood);
+    if (!hit) return false;
+
+    floodDetector.clear(threadID, senderID);
+    const strikes = countActiveStrikes(state, threadID, senderID, flood.strikeWindowMs) + 1;
+    const action = flood.actions[Math.min(strikes, flood.actions.length) - 1];
+    addStrike(state, threadID, senderID, { rule: hit.rule, count: hit.count, action });
+    persistState();
+    emitGroups();
+    counters.floodStrikes.inc({ rule: hit.rule, action });
+    emitLog(`🌊 Flood (${hit.rule}, ${hit.count}) by ${senderID} in ${threadID}: strike ${strikes}, ${action}`);
+    await runFloodAction(api, threadID, senderID, action, { reason: t(threadID, `general.floodRules.${hit.rule}`), strikes });
+    return true;
+  }
+
+  // Removal applies to protected members too: protection guards against other
+  // members, and handleMemberLeft does not undo the bot's own removals
+  async function runFloodAction(api, threadID, senderID, action, vars) {
+    if (action === 'warn') {
+      return api.sendMessage(await mentionMessage(api, threadID, 'events.floodWarning', senderID, vars), threadID);
+    }
+    const [name] = await userNames(api, [senderID]);
+    const group = joinedGroups.get(threadID)?.name || threadID;
+    if (action === 'remove') {
+      let error = null;
+      try {
+        await outbound(api, 'revert').removeUserFromGroup(senderID, threadID);
+      } catch (e) {
+        error = e.message;
+        emitLog(`❌ Could not remove flooding member ${senderID} from ${threadID}: ${error}`, true);
+      }
+      emitLockEvent(writeAudit({ threadID, type: 'member', action: 'flood-removed', actorID: senderID, participantID: senderID, oldValue: null, newValue: vars.reason, reverted: !error, error }));
+      if (!error) await api.sendMessage(await mentionMessage(api, threadID, 'events.floodRemoved', senderID, vars), threadID);
+    }
+    await notifyModerators(api, threadID, t(threadID, action === 'remove' ? 'events.floodRemovedNotice' : 'events.floodNotice', { ...vars, name, group }));
+  }
+
+  // Applies `changes` to the group's flood settings (see src/flood.js)
+  function updateGroupFlood(threadID, changes) {
+    const flood = updateFloodSettings(state, threadID, changes);
+    persistState();
+    emitGroups();
+    return flood;
+  }
+
+  // Clears a member's strikes; returns how many there were
+  function resetMemberStrikes(threadID, userID) {
+    const cleared = resetStrikes(state, threadID, userID);
+    floodDetector.clear(threadID, userID);
+    persistState();
+    emitGroups();
+    emitLog(`🧽 Cleared ${cleared} flood strike(s) of ${userID} in ${threadID}`);
+    return cleared;
+  }
+
+  async function describeMemberNickLocks(api, threadID, joiner = ', ') {
+    const locks = Object.entries(state.lockedNicknames[threadID] || {});
+    if (locks.length === 0) return t(threadID, 'general.none');
+    let names = {};
+    try {
+      names = await api.getUserInfo(locks.map(([memberID]) => memberID)) || {};
+    } catch (e) {
+      emitLog('❌ Error fetching user info: ' + e.message, true);
+    }
+    return locks
+      .map(([memberID, nickname]) => `${names[memberID]?.name || memberID} → "${nickname}"`)
+      .join(joiner);
+  }
+
+  // Saves the nickname to config.json (keeping the saved cookies) and applies it in `threadIDs`
+  async function updateBotNickname(api, newNickname, threadIDs) {
+    api = outbound(api);
+    settings.botNickname = newNickname;
+    updateConfig({ botNickname: newNickname });
+    const botID = api.getCurrentUserID();
+    for (const threadID of threadIDs) {
+      await api.changeNickname(newNickname, threadID, botID);
+    }
+  }
+
+  function updatePrefix(newPrefix) {
+    settings.prefix = newPrefix;
+    updateConfig({ prefix: newPrefix });
+  }
+
+  // Default locale, signature and separator for replies, saved to config.json.
+  // A null signature or separator goes back to the locale's own.
+  function updateReplySettings(changes) {
+    if (changes.locale !== undefined && !i18n.has(changes.locale)) {
+      throw new LockError(`Unknown locale "${changes.locale}".`);
+    }
+    const saved = {};
+    for (const key of ['locale', 'signature', 'separator']) {
+      if (changes[key] !== undefined) settings[key] = saved[key] = changes[key];
+    }
+    updateConfig(saved);
+  }
+
+  // Changes a group's welcome and farewell settings; returns the new settings
+  function updateGroupGreetings(threadID, changes) {
+    const greetings = updateGreetings(state, threadID, changes);
+    persistState();
+    emitGroups();
+    return greetings;
+  }
+
+  // Sets the reply locale of one group; null goes back to the bot's default
+  function setGroupLocale(threadID, locale) {
+    if (locale !== null && !i18n.has(locale)) {
+      throw new LockError(`Unknown locale "${locale}".`);
+    }
+    getThreadPolicy(state, threadID).locale = locale;
+    persistState();
+    emitGroups();
+    return localeOf(threadID);
+  }
+
+  function rememberThreadAdmins(threadID, threadInfo) {
+    threadAdmins.set(threadID, new Set((threadInfo.adminIDs || []).map(admin => String(admin.id ?? admin))));
+  }
+
+  // Keeps the cached admin list in step with admins being added or removed
+  function handleThreadAdminsChange(event) {
+    const { threadID, logMessageData = {} } = event;
+    const admins = threadAdmins.get(threadID);
+    const targetID = String(logMessageData.TARGET_ID);
+    if (!admins) return;
+    if (logMessageData.ADMIN_EVENT === 'add_admin') admins.add(targetID);
+    else if (logMessageData.ADMIN_EVENT === 'remove_admin') admins.delete(targetID);
+    else threadAdmins.delete(threadID);
+  }
+
+  // Whether `userID` is a Messenger admin of a group that trusts its admins
+  async function isTrustedThreadAdmin(api, threadID, userID) {
+    if (!state.threadPolicies[threadID]?.trustThreadAdmins) return false;
+    try {
+      if (!threadAdmins.has(threadID)) rememberThreadAdmins(threadID, await api.getThreadInfo(threadID));
+      return threadAdmins.get(threadID).has(String(userID));
+    } catch (e) {
+      emitLog(`❌ Could not read the admins of ${threadID}: ${e.message}`, true);
+      return false;
+    }
+  }
+
+  // Turns trusting the group's own Messenger admins on or off
+  function setGroupAdminTrust(threadID, enabled) {
+    setThreadAdminTrust(state, threadID, enabled);
+    threadAdmins.delete(threadID);
+    persistState();
+    emitGroups();
+    emitLog(`🛡️ Thread admins ${enabled ? 'trusted' : 'no longer trusted'} in ${threadID}`);
+  }
+
+  // A trusted thread admin's change becomes the locked value; the audit entry
+  // and the group notice name the admin who made it
+  async function adoptAdminChange(api, threadID, details, adopt, notice) {
+    adopt();
+    revertGuard.reset(threadID, lockTypeOf(details.type));
+    persistState();
+    emitLockEvent(writeAudit({ threadID, action: 'admin-update', ...details, reverted: false, error: null }));
+    emitLog(`🛡️ Thread admin ${details.actorID} updated the ${details.type} lock in ${threadID} to "${details.newValue}"`);
+    await api.sendMessage(await mentionMessage(api, threadID, notice, details.actorID, { value: details.newValue }), threadID);
+  }
+
+  async function handleThreadNameChange(api, event) {
+    api = outbound(api, 'revert');
+    try {
+      const { threadID, authorID } = event;
+      const newTitle = event.logMessageData?.name || '';
+      const policy = state.threadPolicies[threadID];
+      if (!policy || can(state, authorID, 'locks.bypass', threadID) || authorID === api.getCurrentUserID()) return;
+
+      const lockedTitle = policy.nameLock && state.lockedGroups[threadID] ? state.lockedGroups[threadID] : policy.nameAutoClear ? "" : null;
+      if (lockedTitle !== null && newTitle !== lockedTitle && await isTrustedThreadAdmin(api, threadID, authorID)) {
+        return await adoptAdminChange(api, threadID, { actorID: authorID, type: 'name', oldValue: lockedTitle, newValue: newTitle },
+          () => adoptGroupName(state, threadID, newTitle), 'events.nameAdopted');
+      }
+
+      if (policy.nameLock && state.lockedGroups[threadID]) {
+        if (newTitle !== lockedTitle) {
+          const reverted = await revertTamper(api, threadID, 'name', { actorID: authorID, oldValue: lockedTitle, newValue: newTitle },
+            () => api.setTitle(lockedTitle, threadID));
+          if (!reverted) return;
+          await api.sendMessage(await mentionMessage(api, threadID, 'events.nameRestored', authorID, { name: lockedTitle }), threadID);
+        }
+      } else if (policy.nameAutoClear && newTitle) {
+        const reverted = await revertTamper(api, threadID, 'name', { actorID: authorID, oldValue: "", newValue: newTitle },
+          () => api.setTitle("", threadID));
+        if (reverted) emitLog(`🧹 Group name auto-cleared in ${threadID}`);
+      }
+    } catch (error) {
+      emitLog('❌ Error in handleThreadNameChange: ' + error.message, true);
+    }
+  }
+
+  async function handleNicknameChange(api, event) {
+    api = outbound(api, 'revert');
+    try {
+      const { threadID, authorID } = event;
+      const participantID = event.participantID || event.logMessageData?.participant_id;
+      const newNickname = event.newNickname ?? event.logMessageData?.nickname ?? '';
+      const botID = api.getCurrentUserID();
+
+      // The bot always keeps its own nickname, whatever the group policy says
+      if (participantID === botID) {
+        if (!can(state, authorID, 'locks.bypass', threadID) && newNickname !== settings.botNickname) {
+          await api.changeNickname(settings.botNickname, threadID, botID);
+          await api.sendMessage(t(threadID, 'events.botNicknameRestored', { nickname: settings.botNickname }), threadID);
+        }
+        return;
+      }
+
+      if (can(state, authorID, 'locks.bypass', threadID) || authorID === botID) return;
+
+      const lockedNickname = getLockedNickname(state, threadID, participantID);
+      const policy = state.threadPolicies[threadID];
+      if (lockedNickname !== null && newNickname !== lockedNickname && await isTrustedThreadAdmin(api, threadID, authorID)) {
+        return await adoptAdminChange(api, threadID, { actorID: authorID, type: 'member-nickname', participantID, oldValue: lockedNickname, newValue: newNickname },
+          () => adoptMemberNickname(state, threadID, participantID, newNickname), 'events.nicknameAdopted');
+      }
+
+      if (lockedNickname !== null) {
+        if (newNickname !== lockedNickname) {
+          const reverted = await revertTamper(api, threadID, 'nickname', { actorID: authorID, participantID, oldValue: lockedNickname, newValue: newNickname },
+            () => api.changeNickname(lockedNickname, threadID, participantID));
+          if (!reverted) return;
+          await api.sendMessage(t(threadID, 'events.nicknameRestored'), threadID);
+        }
+      } else if (policy && policy.nickAutoClear && newNickname) {
+        // Auto-clear has no nickname to pin, so a trusted admin's change is just left alone
+        if (await isTrustedThreadAdmin(api, threadID, authorID)) return;
+        const reverted = await revertTamper(api, threadID, 'nickname', { actorID: authorID, participantID, oldValue: "", newValue: newNickname },
+          () => api.changeNickname("", threadID, participantID));
+        if (reverted) emitLog(`🧹 Nickname of ${participantID} auto-cleared in ${threadID}`);
+      }
+    } catch (error) {
+      emitLog('❌ Error in handleNicknameChange: ' + error.message, true);
+    }
+  }
+
+  async function handleGroupImageChange(api, event) {
+    api = outbound(api, 'revert');
+    try {
+      const { threadID, authorID } = event;
+      let photo = state.lockedGroupPhoto[threadID];
+      if (!photo || can(state, authorID, 'locks.bypass', threadID) || authorID === api.getCurrentUserID()) return;
+
+      const reverted = await revertTamper(api, threadID, 'photo', { actorID: authorID, oldValue: photo.hash, newValue: event.logMessageData?.url || null }, async () => {
+        // Locks saved before photos were stored locally only have the URL
+        if (!photo.file) {
+          photo = await storeGroupPhoto(photo.url);
+          state.lockedGroupPhoto[threadID] = photo;
+          persistState();
+        }
+        await restoreGroupPhoto(api, threadID, photo);
+      });
+      if (!reverted) return;
+      await rememberLivePhoto(api, threadID);
+      emitLog(`🖼️ Group photo restored in ${threadID}`);
+      await api.sendMessage(await mentionMessage(api, threadID, 'events.photoRestored', authorID), threadID);
+    } catch (error) {
+      emitLog('❌ Error in handleGroupImageChange: ' + error.message, true);
+    }
+  }
+
+  // The emoji, color and approval mode locks revert the same way; each handler
+  // only reads the new value out of its own event
+  async function revertSettingChange(api, event, type, newValue) {
+    const { threadID, authorID } = event;
+    const lockedValue = getLockedSetting(state, threadID, type);
+    if (lockedValue === null || newValue === lockedValue) return;
+    if (can(state, authorID, 'locks.bypass', threadID) || authorID === api.getCurrentUserID()) return;
+
+    const reverted = await revertTamper(api, threadID, type, { actorID: authorID, oldValue: lockedValue, newValue },
+      () => restoreGroupSetting(api, state, threadID, type));
+    if (!reverted) return;
+    await api.sendMessage(await mentionMessage(api, threadID, 'events.settingRestored', authorID, { lock: t(threadID, `general.lockNames.${type}`) }), threadID);
+  }
+
+  async function handleThreadEmojiChange(api, event) {
+    api = outbound(api, 'revert');
+    try {
+      const data = event.logMessageData || {};
+      await revertSettingChange(api, event, 'emoji', data.thread_quick_reaction_emoji ?? data.thread_icon ?? null);
+    } catch (error) {
+      emitLog('❌ Error in handleThreadEmojiChange: ' + error.message, true);
+    }
+  }
+
+  async function handleThreadColorChange(api, event) {
+    api = outbound(api, 'revert');
+    try {
+      const data = event.logMessageData || {};
+      await revertSettingChange(api, event, 'color', data.theme_color ?? data.thread_color ?? null);
+    } catch (error) {
+      emitLog('❌ Error in handleThreadColorChange: ' + error.message, true);
+    }
+  }
+
+  async function handleApprovalModeChange(api, event) {
+    api = outbound(api, 'revert');
+    try {
+      const data = event.logMessageData || {};
+      await revertSettingChange(api, event, 'approval', String(data.APPROVAL_MODE ?? data.approval_mode) === '1');
+    } catch (error) {
+      emitLog('❌ Error in handleApprovalModeChange: ' + error.message, true);
+    }
+  }
+
+  // Messenger re-encodes uploaded images, so the photo it serves after a restore
+  // can hash differently from the stored copy. That hash is remembered so the
+  // next sweep does not restore the same picture again.
+  async function rememberLivePhoto(api, threadID) {
+    const photo = state.lockedGroupPhoto[threadID];
+    try {
+      const threadInfo = await api.getThreadInfo(threadID);
+      if (!photo || !threadInfo.imageSrc) return;
+      photo.liveHash = await hashImageAt(threadInfo.imageSrc);
+      persistState();
+    } catch (e) {
+      emitLog(`❌ Could not read back the restored photo in ${threadID}: ${e.message}`, true);
+    }
+  }
+
+  function restoreDrift(api, threadID, drift) {
+    if (drift.type === 'name') return api.setTitle(drift.expected, threadID);
+    if (drift.type === 'nickname') return api.changeNickname(drift.expected, threadID, drift.participantID);
+    if (SETTING_LOCKS[drift.type]) return restoreGroupSetting(api, state, threadID, drift.type);
+    return restoreGroupPhoto(api, threadID, state.lockedGroupPhoto[threadID]);
+  }
+
+  // Compares every locked group with its locks and puts back whatever changed
+  // while no events were coming in, e.g. during a reconnect. Returns a summary:
+  // { reason, checked, fixed, failed, threads: [{ threadID, fixed, failed, error? }] }.
+  async function reconcile(api, reason = 'manual') {
+    if (reconcileRunning) {
+      emitLog(`⏳ Reconcile (${reason}) skipped, a sweep is already running`);
+      return null;
+    }
+    reconcileRunning = true;
+    api = outbound(api, 'revert');
+    const summary = { reason, checked: 0, fixed: 0, failed: 0, threads: [] };
+    try {
+      for (const threadID of lockedThreadIDs(state)) {
+        const report = { threadID, fixed: 0, failed: 0 };
+        summary.threads.push(report);
+        try {
+          const threadInfo = await api.getThreadInfo(threadID);
+          rememberThreadAdmins(threadID, threadInfo);
+          summary.checked++;
+          const drifts = await findDrift(api, state, threadID, threadInfo);
+          const results = await Promise.allSettled(drifts.map(drift => restoreDrift(api, threadID, drift)));
+          results.forEach((result, i) => {
+            const { type, participantID, expected, actual } = drifts[i];
+            const error = result.status === 'rejected' ? result.reason.message : null;
+            if (error) report.failed++; else report.fixed++;
+            counters.reverts.inc({ type, source: 'reconcile', result: error ? 'failed' : 'reverted' });
+            emitLockEvent(writeAudit({
+              threadID, type, action: 'reconcile', participantID: participantID || null,
+              oldValue: expected, newValue: actual, reverted: !error, error
+            }));
+          });
+          if (drifts.some((drift, i) => drift.type === 'photo' && results[i].status === 'fulfilled')) {
+            await rememberLivePhoto(api, threadID);
+          }
+        } catch (e) {
+          report.failed++;
+          report.error = e.message;
+          emitLog(`❌ Reconcile could not check ${threadID}: ${e.message}`, true);
+        }
+        summary.fixed += report.fixed;
+        summary.failed += report.failed;
+      }
+    } finally {
+      reconcileRunning = false;
+    }
+    emitLog(`🔁 Reconcile (${reason}): ${summary.checked} groups checked, ${summary.fixed} changes restored, ${summary.failed} failed`, summary.failed > 0);
+    broadcast('reconcile', summary);
+    return summary;
+  }
+
+  // Runs `reconcile` every `intervalMs` until stopReconcile; 0 turns it off
+  function scheduleReconcile(api, intervalMs) {
+    stopReconcile();
+    if (!intervalMs) return;
+    reconcileTimer = setInterval(() => reconcile(api, 'interval'), intervalMs);
+    reconcileTimer.unref?.();
+  }
+
+  function stopReconcile() {
+    clearInterval(reconcileTimer);
+    reconcileTimer = null;
+  }
+
+  return {
+    settings,
+    registry,
+    queue,
+    revertGuard,
+    metrics,
+    joinBatcher,
+    outbound,
+    getState: () => state,
+    getJoinedGroupIDs: () => Array.from(joinedGroups.keys()),
+    loadPersistedState,
+    persistState,
+    applyLockChange,
+    handleEvent,
+    handleMessage,
+    handleThreadNameChange,
+    handleNicknameChange,
+    handleGroupImageChange,
+    handleThreadEmojiChange,
+    handleThreadColorChange,
+    handleApprovalModeChange,
+    handleBotAddedToGroup,
+    handleMembersJoined,
+    handleMemberLeft,
+    setBotNicknamesInGroups,
+    sendStartupMessage,
+    updateJoinedGroups,
+    reconcile,
+    scheduleReconcile,
+    stopReconcile,
+    runDueSchedules,
+    startSchedules,
+    stopSchedules,
+    cancelGroupSchedule,
+    getGroupSummaries,
+    updateBotNickname,
+    updatePrefix,
+    updateReplySettings,
+    setGroupLocale,
+    updateGroupGreetings,
+    setGroupAdminTrust,
+    updateGroupFlood,
+    resetMemberStrikes,
+    listLocales: () => i18n.list()
+  };
+}
+
+module.exports = {
+  createBot
+};
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const { CAPABILITIES } = require('./roles');
+const { describeEntry, validateUsage } = require('./args');
+const { translateBase, hasBaseKey } = require('./i18n');
+
+const COMMANDS_DIR = path.join(__dirname, 'commands');
+
+// Help sections, in the order /help lists them. Commands with an unknown
+// category end up under "other". Titles are the "help.categories.<id>" templates.
+const CATEGORIES = ['help', 'security', 'settings', 'target', 'fight', 'audit', 'roles', 'ids', 'other'];
+
+// Typos further than this from every command name get no suggestion
+const MAX_SUGGESTION_DISTANCE = 2;
+
+function validateCommand(command) {
+  if (!command || typeof command.name !== 'string' || !command.name) {
+    throw new Error('Command is missing a name.');
+  }
+  if (typeof command.run !== 'function') {
+    throw new Error(`Command "${command.name}" has no run function.`);
+  }
+  if (command.capability && !CAPABILITIES[command.capability]) {
+    throw new Error(`Command "${command.name}" requires unknown capability "${command.capability}".`);
+  }
+  validateUsage(command.name, command.usage || []);
+}
+
+function createCommandRegistry(initialCommands = []) {
+  const commands = new Map();
+  const lookup = new Map();
+
+  function register(command) {
+    validateCommand(command);
+    const names = [command.name, ...(command.aliases || [])].map(name => name.toLowerCase());
+    for (const name of names) {
+      if (lookup.has(name)) {
+        throw new Error(`Command name "${name}" is already registered by "${lookup.get(name).name}".`);
+      }
+    }
+    const entry = { aliases: [], usage: [], category: 'other', ...command };
+    commands.set(entry.name.toLowerCase(), entry);
+    for (const name of names) {
+      lookup.set(name, entry);
+    }
+    return entry;
+  }
+
+  function get(name) {
+    return lookup.get(String(name).toLowerCase()) || null;
+  }
+
+  function list() {
+    return Array.from(commands.values());
+  }
+
+  // The closest command name or alias to `name`, or null when nothing is close
+  function suggest(name) {
+    let best = null;
+    let bestDistance = MAX_SUGGESTION_DISTANCE + 1;
+    for (const [candidate, command] of lookup) {
+      const distance = editDistance(String(name).toLowerCase(), candidate);
+      if (distance < bestDistance) {
+        best = command;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  for (const command of initialCommands) {
+    register(command);
+  }
+
+  return { register, get, list, suggest };
+}
+
+// Every .js file in `dir` exports one command or an array of commands
+function loadCommands(dir = COMMANDS_DIR) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .flatMap(file => [].concat(require(path.join(dir, file))));
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function requiredRole(command) {
+  return command.capability ? CAPABILITIES[command.capability] : null;
+}
+
+// Commands without usage lines still get one help entry
+function usageOf(command) {
+  return command.usage.length > 0 ? command.usage : [{}];
+}
+
+function usageLine(command, line, prefix) {
+  const args = describeEntry(line);
+  return `${prefix}${command.name}${args ? ' ' + args : ''}`;
+}
+
+// `lines` narrows the output to some usage entries, e.g. the ones a UsageError names
+function formatUsage(command, prefix, lines = usageOf(command)) {
+  return lines.map(line => usageLine(command, line, prefix)).join(' | ');
+}
+
+// Help texts live in the locale packs under "help.commands.<name>": a
+// `description` and one `args.<key>` per usage line, keyed by the line's `key`,
+// its subcommand or "default". Commands the packs do not know, like ones
+// registered from outside src/commands, show their own `description` fields.
+function helpText(command, path, fallback, t, hasKey) {
+  const key = `help.commands.${command.name}.${path}`;
+  return hasKey(key) ? t(key) : fallback || '';
+}
+
+function describeCommand(command, t, hasKey) {
+  return helpText(command, 'description', command.description, t, hasKey);
+}
+
+function describeLine(command, line, t, hasKey) {
+  return helpText(command, `args.${line.key || line.sub || 'default'}`, line.description || (command.usage.length === 0 ? command.description : ''), t, hasKey);
+}
+
+// `t(key, vars)` renders a reply template in the reader's locale and
+// `hasKey(key)` tells whether the packs have it
+function formatHelp(commands, prefix, t = translateBase, hasKey = hasBaseKey) {
+  const known = new Set(CATEGORIES);
+  const sections = [];
+  for (const category of CATEGORIES) {
+    const inCategory = commands.filter(command => (known.has(command.category) ? command.category : 'other') === category);
+    if (inCategory.length === 0) continue;
+    const lines = [];
+    for (const command of inCategory) {
+      const role = requiredRole(command);
+      const roleTag = role ? ` [${t(`help.roles.${role}`)}]` : '';
+      for (const line of usageOf(command)) {
+        lines.push(`  ${usageLine(command, line, prefix)} ➡️ ${describeLine(command, line, t, hasKey)}${roleTag}`);
+      }
+    }
+    sections.push(`${t(`help.categories.${category}`)}:\n${lines.join('\n')}`);
+  }
+  return `${t('help.header')}\n${sections.join('\n\n')}\n\n${t('help.footer', { prefix })}`;
+}
+
+function formatCommandHelp(command, prefix, t = translateBase, hasKey = hasBaseKey) {
+  const lines = [`📖 ${prefix}${command.name}`];
+  const description = describeCommand(command, t, hasKey);
+  if (description) lines.push(description);
+  lines.push('', t('help.usage'));
+  for (const line of usageOf(command)) {
+    const text = describeLine(command, line, t, hasKey);
+    lines.push(`  ${usageLine(command, line, prefix)}${text ? ' ➡️ ' + text : ''}`);
+  }
+  lines.push('');
+  if (command.aliases.length > 0) {
+    lines.push(t('help.aliases', { aliases: command.aliases.map(alias => prefix + alias).join(', ') }));
+  }
+  lines.push(t('help.requiredRole', { role: requiredRole(command) || t('help.everyone') }));
+  return lines.join('\n');
+}
+
+module.exports = {
+  COMMANDS_DIR,
+  CATEGORIES,
+  createCommandRegistry,
+  loadCommands,
+  editDistance,
+  formatUsage,
+  formatHelp,
+  formatCommandHelp
+};
@@ -0,0 +1,35 @@
+const { queryAudit } = require('../audit');
+const { LOCK_TYPES } = require('../locks');
+
+// Every `type` the audit log records: the locks, per-member nickname locks and
+// member protection
+const AUDIT_TYPES = [...LOCK_TYPES, 'member-nickname', 'member'];
+
+module.exports = {
+  name: 'audit',
+  category: 'audit',
+  capability: 'status.view',
+  usage: [
+    {
+      params: [{ name: 'count', type: 'integer', min: 1, max: 50, optional: true, default: 10 }],
+      flags: [
+        { name: 'type', type: 'choice', choices: AUDIT_TYPES },
+        { name: 'action' }
+      ]
+    }
+  ],
+  errorReply: 'commands.audit.error',
+  async run({ threadID, params, flags, t, reply }) {
+    const entries = queryAudit({ threadID, type: flags.type, action: flags.action, limit: params.count });
+    if (entries.length === 0) {
+      return reply(t('commands.audit.empty'));
+    }
+    const lines = entries.map(entry => {
+      const target = entry.participantID ? ` (${entry.participantID})` : '';
+      const value = entry.newValue !== null ? ` → "${entry.newValue}"` : '';
+      const outcome = entry.error ? ` ❌ ${entry.error}` : entry.action === 'tamper' ? (entry.reverted ? t('commands.audit.reverted') : '') : '';
+      return `• ${entry.at.slice(0, 16).replace('T', ' ')} ${entry.actorID} ${entry.action} ${entry.type}${target}${value}${outcome}`;
+    });
+    await reply(t('commands.audit.title', { count: entries.length, lines: lines.join('\n') }));
+  }
+};
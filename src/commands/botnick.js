@@ -0,0 +1,14 @@
+module.exports = {
+  name: 'botnick',
+  category: 'security',
+  capability: 'bot.configure',
+  usage: [
+    { params: [{ name: 'nickname', type: 'text' }] }
+  ],
+  errorReply: 'commands.botnick.error',
+  async run({ api, threadID, params, updateBotNickname, t, reply }) {
+    const newNickname = params.nickname;
+    await updateBotNickname(api, newNickname, [threadID]);
+    await reply(t('commands.botnick.changed', { nickname: newNickname }));
+  }
+};
@@ -0,0 +1,45 @@
+module.exports = [
+  {
+    name: 'fyt',
+    category: 'fight',
+    capability: 'attack.manage',
+    usage: [
+      { sub: 'on' },
+      { sub: 'off' }
+    ],
+    async run({ threadID, subcommand, fightSessions, t, reply }) {
+      if (subcommand === 'on') {
+        fightSessions[threadID] = {
+          active: true
+        };
+        await reply(t('commands.fight.askName'));
+      } else if (fightSessions[threadID]) {
+        fightSessions[threadID].active = false;
+        clearInterval(fightSessions[threadID].interval);
+        await reply(t('commands.fight.stopped'));
+      }
+    }
+  },
+  {
+    name: 'stop',
+    category: 'fight',
+    capability: 'attack.manage',
+    usage: [
+      {}
+    ],
+    async run({ threadID, fightSessions, targetSessions, t, reply }) {
+      if (fightSessions[threadID] && fightSessions[threadID].active) {
+        fightSessions[threadID].active = false;
+        clearInterval(fightSessions[threadID].interval);
+        delete fightSessions[threadID];
+        await reply(t('commands.fight.stopped'));
+      } else if (targetSessions[threadID] && targetSessions[threadID].active) {
+        clearInterval(targetSessions[threadID].interval);
+        delete targetSessions[threadID];
+        await reply(t('commands.fight.targetStopped'));
+      } else {
+        await reply(t('commands.fight.nothingActive'));
+      }
+    }
+  }
+];
@@ -0,0 +1,85 @@
+const { FLOOD_RULES, FLOOD_ACTIONS, LIMIT_KEYS, getFloodSettings, getStrikes, listStruckMembers } = require('../flood');
+const { formatScheduleTime } = require('../schedule');
+
+function describeFlood(t, flood) {
+  return t('commands.flood.settings', {
+    enabled: t(flood.enabled ? 'general.on' : 'general.off'),
+    seconds: Math.round(flood.windowMs / 1000),
+    messages: flood.maxMessages,
+    repeats: flood.maxRepeats,
+    mentions: flood.maxMentions,
+    actions: flood.actions.map(action => t(`general.floodActions.${action}`)).join(' → ')
+  });
+}
+
+module.exports = [
+  {
+    name: 'flood',
+    aliases: ['antispam'],
+    category: 'security',
+    capability: 'members.manage',
+    usage: [
+      { sub: 'on' },
+      { sub: 'off' },
+      { sub: 'show' },
+      { sub: 'limit', params: [{ name: 'rule', type: 'choice', choices: FLOOD_RULES }, { name: 'limit', type: 'integer', min: 1, max: 100 }] },
+      { sub: 'window', params: [{ name: 'window', type: 'duration' }] },
+      { sub: 'actions', params: [{ name: 'actions', type: 'text' }] }
+    ],
+    errorReply: 'commands.flood.error',
+    async run({ state, threadID, subcommand, params, updateGroupFlood, t, reply }) {
+      if (subcommand === 'show') {
+        return reply(describeFlood(t, getFloodSettings(state, threadID)));
+      }
+      let changes;
+      if (subcommand === 'on' || subcommand === 'off') {
+        changes = { enabled: subcommand === 'on' };
+      } else if (subcommand === 'limit') {
+        changes = { [LIMIT_KEYS[params.rule]]: params.limit };
+      } else if (subcommand === 'window') {
+        changes = { windowMs: params.window };
+      } else {
+        const actions = params.actions.toLowerCase().split(/[\s,]+/).filter(Boolean);
+        if (!actions.every(action => FLOOD_ACTIONS.includes(action))) {
+          return reply(t('commands.flood.badActions', { actions: FLOOD_ACTIONS.join(', ') }));
+        }
+        changes = { actions };
+      }
+      await reply(describeFlood(t, updateGroupFlood(threadID, changes)));
+    }
+  },
+  {
+    name: 'strikes',
+    category: 'security',
+    capability: 'members.manage',
+    usage: [
+      { sub: 'list' },
+      { sub: 'show', params: [{ name: 'member', type: 'user' }] },
+      { sub: 'reset', params: [{ name: 'member', type: 'user' }] }
+    ],
+    errorReply: 'commands.strikes.error',
+    async run({ state, threadID, subcommand, params, resetMemberStrikes, userNames, t, reply }) {
+      if (subcommand === 'list') {
+        const members = listStruckMembers(state, threadID);
+        if (members.length === 0) return reply(t('commands.strikes.none'));
+        const names = await userNames(members.map(member => member.userID));
+        const lines = members.map((member, i) => t('commands.strikes.listEntry', { name: names[i], count: member.strikes.length }));
+        return reply(t('commands.strikes.list', { entries: lines.join('\n') }));
+      }
+      const [name] = await userNames([params.member]);
+      if (subcommand === 'reset') {
+        const cleared = resetMemberStrikes(threadID, params.member);
+        return reply(t('commands.strikes.reset', { name, count: cleared }));
+      }
+      const strikes = getStrikes(state, threadID, params.member);
+      if (strikes.length === 0) return reply(t('commands.strikes.noneFor', { name }));
+      const lines = strikes.map(strike => t('commands.strikes.entry', {
+        at: formatScheduleTime(strike.at),
+        reason: t(`general.floodRules.${strike.rule}`),
+        count: strike.count,
+        action: t(`general.floodActions.${strike.action}`)
+      }));
+      await reply(t('commands.strikes.history', { name, entries: lines.join('\n') }));
+    }
+  }
+];
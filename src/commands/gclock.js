@@ -0,0 +1,30 @@
+const { lockGroupName, enableGroupNameAutoClear } = require('../locks');
+const { TIMING_FLAGS } = require('../schedule');
+
+module.exports = [
+  {
+    name: 'gclock',
+    category: 'security',
+    capability: 'locks.manage',
+    usage: [
+      { params: [{ name: 'group_name', type: 'text' }], flags: TIMING_FLAGS }
+    ],
+    async run({ api, state, threadID, senderID, params, flags, applyTimedLockChange, describeTiming, t, reply }) {
+      const newName = params.group_name;
+      const timed = await applyTimedLockChange({ threadID, actorID: senderID, type: 'name', action: 'lock', newValue: newName }, () => lockGroupName(api, state, threadID, newName), flags);
+      await reply(describeTiming(timed, t('commands.gclock.locked', { name: newName })));
+    }
+  },
+  {
+    name: 'gcremove',
+    category: 'security',
+    capability: 'locks.manage',
+    usage: [
+      {}
+    ],
+    async run({ api, state, threadID, senderID, applyLockChange, t, reply }) {
+      await applyLockChange({ threadID, actorID: senderID, type: 'name', action: 'auto-clear-on' }, () => enableGroupNameAutoClear(api, state, threadID));
+      await reply(t('commands.gclock.autoClear'));
+    }
+  }
+];
@@ -0,0 +1,66 @@
+module.exports = [
+  {
+    name: 'welcome',
+    category: 'settings',
+    capability: 'group.configure',
+    usage: [
+      { sub: 'on' },
+      { sub: 'off' },
+      { sub: 'set', params: [{ name: 'template', type: 'text' }] },
+      { sub: 'reset' },
+      { sub: 'rules', params: [{ name: 'rules', type: 'text', optional: true }] }
+    ],
+    async run({ threadID, subcommand, params, updateGroupGreetings, t, reply }) {
+      if (subcommand === 'on' || subcommand === 'off') {
+        updateGroupGreetings(threadID, { welcome: subcommand === 'on' });
+        await reply(t(subcommand === 'on' ? 'commands.welcome.enabled' : 'commands.welcome.disabled'));
+      } else if (subcommand === 'set') {
+        updateGroupGreetings(threadID, { welcomeTemplate: params.template, welcome: true });
+        await reply(t('commands.welcome.templateSet'));
+      } else if (subcommand === 'reset') {
+        updateGroupGreetings(threadID, { welcomeTemplate: null });
+        await reply(t('commands.welcome.templateReset'));
+      } else {
+        const rules = params.rules && params.rules.trim() ? params.rules : null;
+        updateGroupGreetings(threadID, { rules });
+        await reply(t(rules ? 'commands.welcome.rulesSet' : 'commands.welcome.rulesCleared'));
+      }
+    }
+  },
+  {
+    name: 'farewell',
+    category: 'settings',
+    capability: 'group.configure',
+    usage: [
+      { sub: 'on' },
+      { sub: 'off' },
+      { sub: 'set', params: [{ name: 'template', type: 'text' }] },
+      { sub: 'reset' }
+    ],
+    async run({ threadID, subcommand, params, updateGroupGreetings, t, reply }) {
+      if (subcommand === 'on' || subcommand === 'off') {
+        updateGroupGreetings(threadID, { farewell: subcommand === 'on' });
+        await reply(t(subcommand === 'on' ? 'commands.farewell.enabled' : 'commands.farewell.disabled'));
+      } else if (subcommand === 'set') {
+        updateGroupGreetings(threadID, { farewellTemplate: params.template, farewell: true });
+        await reply(t('commands.farewell.templateSet'));
+      } else {
+        updateGroupGreetings(threadID, { farewellTemplate: null });
+        await reply(t('commands.farewell.templateReset'));
+      }
+    }
+  },
+  {
+    name: 'autonick',
+    category: 'security',
+    capability: 'locks.manage',
+    usage: [
+      { sub: 'on' },
+      { sub: 'off' }
+    ],
+    async run({ threadID, subcommand, updateGroupGreetings, t, reply }) {
+      updateGroupGreetings(threadID, { autoNickname: subcommand === 'on' });
+      await reply(t(subcommand === 'on' ? 'commands.autonick.enabled' : 'commands.autonick.disabled'));
+    }
+  }
+];
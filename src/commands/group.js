@@ -0,0 +1,23 @@
+const { lockGroupName, unlockGroupName } = require('../locks');
+const { TIMING_FLAGS } = require('../schedule');
+
+module.exports = {
+  name: 'group',
+  category: 'security',
+  capability: 'locks.manage',
+  usage: [
+    { sub: 'on', params: [{ name: 'group_name', type: 'text' }], flags: TIMING_FLAGS },
+    { sub: 'off' }
+  ],
+  errorReply: 'commands.group.error',
+  async run({ api, state, threadID, senderID, subcommand, params, flags, applyLockChange, applyTimedLockChange, describeTiming, t, reply }) {
+    if (subcommand === 'on') {
+      const groupName = params.group_name;
+      const timed = await applyTimedLockChange({ threadID, actorID: senderID, type: 'name', action: 'lock', newValue: groupName }, () => lockGroupName(api, state, threadID, groupName), flags);
+      await reply(describeTiming(timed, t('commands.group.locked', { name: groupName })));
+    } else {
+      await applyLockChange({ threadID, actorID: senderID, type: 'name', action: 'unlock' }, () => unlockGroupName(state, threadID));
+      await reply(t('commands.group.unlocked'));
+    }
+  }
+};
@@ -0,0 +1,22 @@
+const { formatHelp, formatCommandHelp } = require('../command-registry');
+
+module.exports = {
+  name: 'help',
+  aliases: ['commands'],
+  category: 'help',
+  usage: [
+    { params: [{ name: 'command', optional: true }] }
+  ],
+  async run({ params, prefix, registry, t, hasKey, reply }) {
+    if (params.command) {
+      const name = params.command.replace(prefix, '');
+      const command = registry.get(name);
+      if (!command) {
+        const suggestion = registry.suggest(name);
+        return reply(t('help.unknownCommand', { name }) + (suggestion ? t('help.didYouMean', { suggestion: suggestion.name }) : ''));
+      }
+      return reply(formatCommandHelp(command, prefix, t, hasKey));
+    }
+    return reply(formatHelp(registry.list(), prefix, t, hasKey));
+  }
+};
@@ -0,0 +1,22 @@
+module.exports = [
+  {
+    name: 'tid',
+    category: 'ids',
+    usage: [
+      {}
+    ],
+    async run({ threadID, t, reply }) {
+      await reply(t('commands.ids.thread', { threadID }));
+    }
+  },
+  {
+    name: 'uid',
+    category: 'ids',
+    usage: [
+      { params: [{ name: 'user', type: 'user', optional: true }] }
+    ],
+    async run({ senderID, params, t, reply }) {
+      await reply(params.user ? t('commands.ids.user', { userID: params.user }) : t('commands.ids.self', { userID: senderID }));
+    }
+  }
+];
@@ -0,0 +1,23 @@
+module.exports = {
+  name: 'language',
+  aliases: ['lang'],
+  category: 'settings',
+  capability: 'group.configure',
+  usage: [
+    { params: [{ name: 'locale', optional: true }] }
+  ],
+  async run({ threadID, params, locale, locales, setGroupLocale, t, reply }) {
+    const available = locales.map(entry => `${entry.code} (${entry.name})`).join(', ');
+    if (!params.locale) {
+      return reply(t('commands.language.current', { locale, locales: available }));
+    }
+    if (params.locale === 'default') {
+      return reply(t('commands.language.reset', { locale: setGroupLocale(threadID, null) }));
+    }
+    const code = locales.find(entry => entry.code.toLowerCase() === params.locale.toLowerCase())?.code;
+    if (!code) {
+      return reply(t('commands.language.unknown', { locale: params.locale, locales: available }));
+    }
+    await reply(t('commands.language.changed', { locale: setGroupLocale(threadID, code) }));
+  }
+};
@@ -0,0 +1,20 @@
+const { LOCK_TYPES, LockError, resumeLock } = require('../locks');
+
+module.exports = {
+  name: 'lockresume',
+  category: 'security',
+  capability: 'locks.manage',
+  usage: [
+    { params: [{ name: 'lock', type: 'choice', choices: LOCK_TYPES }] }
+  ],
+  errorReply: 'commands.lockresume.error',
+  async run({ api, state, threadID, senderID, params, applyLockChange, describeNicknameFailures, t, reply }) {
+    try {
+      const result = await applyLockChange({ threadID, actorID: senderID, type: params.lock, action: 'resume' }, () => resumeLock(api, state, threadID, params.lock));
+      await reply(t('commands.lockresume.resumed', { lock: params.lock, failures: describeNicknameFailures(result) }));
+    } catch (e) {
+      if (!(e instanceof LockError)) throw e;
+      await reply(t('commands.lockresume.notPaused', { lock: params.lock }));
+    }
+  }
+};
@@ -0,0 +1,31 @@
+const { lockMemberNicknames, unlockMemberNicknames } = require('../locks');
+const { TIMING_FLAGS } = require('../schedule');
+
+module.exports = {
+  name: 'membernick',
+  category: 'security',
+  capability: 'locks.manage',
+  usage: [
+    { sub: 'set', params: [{ name: 'members', type: 'users' }, { name: 'nickname', type: 'text' }], flags: TIMING_FLAGS },
+    { sub: 'list' },
+    { sub: 'clear', params: [{ name: 'members', type: 'users' }] },
+    { sub: 'clear', key: 'clearAll', params: [{ name: 'members', type: 'choice', choices: ['all'] }] }
+  ],
+  errorReply: 'commands.membernick.error',
+  async run({ api, state, threadID, senderID, subcommand, params, flags, applyLockChange, applyTimedLockChange, describeTiming, describeMemberNickLocks, describeNicknameFailures, t, reply }) {
+    if (subcommand === 'set') {
+      const { members: memberIDs, nickname } = params;
+      const timed = await applyTimedLockChange({ threadID, actorID: senderID, type: 'member-nickname', action: 'lock', participantID: memberIDs.join(' '), newValue: nickname }, () => lockMemberNicknames(api, state, threadID, memberIDs, nickname), flags, memberIDs);
+      await reply(describeTiming(timed, t('commands.membernick.locked', { count: memberIDs.length, nickname, failures: describeNicknameFailures(timed.result) })));
+    } else if (subcommand === 'clear') {
+      const targets = params.members;
+      const cleared = await applyLockChange({ threadID, actorID: senderID, type: 'member-nickname', action: 'unlock', participantID: targets === 'all' ? 'all' : targets.join(' ') }, () => unlockMemberNicknames(state, threadID, targets));
+      if (cleared.length === 0) {
+        return reply(t('commands.membernick.clearUsage'));
+      }
+      await reply(t('commands.membernick.cleared', { count: cleared.length }));
+    } else {
+      await reply(t('commands.membernick.list', { locks: await describeMemberNickLocks('\n') }));
+    }
+  }
+};
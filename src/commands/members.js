@@ -0,0 +1,45 @@
+const { getMemberProtection, protectMembers, unprotectMembers, setJoinAllowList } = require('../members');
+
+module.exports = [
+  {
+    name: 'protect',
+    category: 'security',
+    capability: 'members.manage',
+    usage: [
+      { sub: 'add', params: [{ name: 'members', type: 'users' }] },
+      { sub: 'remove', params: [{ name: 'members', type: 'users' }] },
+      { sub: 'list' }
+    ],
+    errorReply: 'commands.protect.error',
+    async run({ state, threadID, senderID, subcommand, params, applyLockChange, userNames, t, reply }) {
+      if (subcommand === 'list') {
+        const { protectedMembers } = getMemberProtection(state, threadID);
+        const names = protectedMembers.length ? (await userNames(protectedMembers)).join(', ') : t('general.none');
+        return reply(t('commands.protect.list', { names }));
+      }
+      const memberIDs = params.members;
+      const change = subcommand === 'add'
+        ? () => protectMembers(state, threadID, memberIDs)
+        : () => unprotectMembers(state, threadID, memberIDs);
+      const changed = await applyLockChange({ threadID, actorID: senderID, type: 'member', action: subcommand === 'add' ? 'protect' : 'unprotect', participantID: memberIDs.join(' ') }, change);
+      if (changed.length === 0) {
+        return reply(t(subcommand === 'add' ? 'commands.protect.alreadyProtected' : 'commands.protect.notProtected'));
+      }
+      await reply(t(subcommand === 'add' ? 'commands.protect.added' : 'commands.protect.removed', { names: (await userNames(changed)).join(', ') }));
+    }
+  },
+  {
+    name: 'allowlist',
+    category: 'security',
+    capability: 'members.manage',
+    usage: [
+      { sub: 'on' },
+      { sub: 'off' }
+    ],
+    async run({ state, threadID, senderID, subcommand, applyLockChange, t, reply }) {
+      const enabled = subcommand === 'on';
+      await applyLockChange({ threadID, actorID: senderID, type: 'member', action: enabled ? 'allow-list-on' : 'allow-list-off' }, () => setJoinAllowList(state, threadID, enabled));
+      await reply(t(enabled ? 'commands.allowlist.enabled' : 'commands.allowlist.disabled'));
+    }
+  }
+];
@@ -0,0 +1,42 @@
+const { lockGroupNickname, enableNicknameAutoClear, disableNicknameAutoClear } = require('../locks');
+const { TIMING_FLAGS } = require('../schedule');
+
+module.exports = [
+  {
+    name: 'nicklock',
+    category: 'security',
+    capability: 'locks.manage',
+    usage: [
+      { params: [{ name: 'nickname', type: 'text' }], flags: TIMING_FLAGS }
+    ],
+    async run({ api, state, threadID, senderID, params, flags, applyTimedLockChange, describeTiming, describeNicknameFailures, t, reply }) {
+      const newNick = params.nickname;
+      const timed = await applyTimedLockChange({ threadID, actorID: senderID, type: 'nickname', action: 'lock', newValue: newNick }, () => lockGroupNickname(api, state, threadID, newNick), flags);
+      await reply(describeTiming(timed, t('commands.nicklock.locked', { nickname: newNick, failures: describeNicknameFailures(timed.result) })));
+    }
+  },
+  {
+    name: 'nickremoveall',
+    category: 'security',
+    capability: 'locks.manage',
+    usage: [
+      {}
+    ],
+    async run({ api, state, threadID, senderID, applyLockChange, describeNicknameFailures, t, reply }) {
+      const result = await applyLockChange({ threadID, actorID: senderID, type: 'nickname', action: 'auto-clear-on' }, () => enableNicknameAutoClear(api, state, threadID));
+      await reply(t('commands.nicklock.autoClear', { failures: describeNicknameFailures(result) }));
+    }
+  },
+  {
+    name: 'nickremoveoff',
+    category: 'security',
+    capability: 'locks.manage',
+    usage: [
+      {}
+    ],
+    async run({ state, threadID, senderID, applyLockChange, t, reply }) {
+      await applyLockChange({ threadID, actorID: senderID, type: 'nickname', action: 'auto-clear-off' }, () => disableNicknameAutoClear(state, threadID));
+      await reply(t('commands.nicklock.autoClearOff'));
+    }
+  }
+];
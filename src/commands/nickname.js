@@ -0,0 +1,23 @@
+const { lockGroupNickname, unlockNicknames } = require('../locks');
+const { TIMING_FLAGS } = require('../schedule');
+
+module.exports = {
+  name: 'nickname',
+  category: 'security',
+  capability: 'locks.manage',
+  usage: [
+    { sub: 'on', params: [{ name: 'nickname', type: 'text' }], flags: TIMING_FLAGS },
+    { sub: 'off' }
+  ],
+  errorReply: 'commands.nickname.error',
+  async run({ api, state, threadID, senderID, subcommand, params, flags, applyLockChange, applyTimedLockChange, describeTiming, describeNicknameFailures, t, reply }) {
+    if (subcommand === 'on') {
+      const nickname = params.nickname;
+      const timed = await applyTimedLockChange({ threadID, actorID: senderID, type: 'nickname', action: 'lock', newValue: nickname }, () => lockGroupNickname(api, state, threadID, nickname), flags);
+      await reply(describeTiming(timed, t('commands.nickname.locked', { nickname, failures: describeNicknameFailures(timed.result) })));
+    } else {
+      await applyLockChange({ threadID, actorID: senderID, type: 'nickname', action: 'unlock' }, () => unlockNicknames(state, threadID));
+      await reply(t('commands.nickname.unlocked'));
+    }
+  }
+};
@@ -0,0 +1,27 @@
+const { LockError, lockGroupPhoto, unlockGroupPhoto } = require('../locks');
+const { TIMING_FLAGS } = require('../schedule');
+
+module.exports = {
+  name: 'photolock',
+  category: 'security',
+  capability: 'locks.manage',
+  usage: [
+    { sub: 'on', flags: TIMING_FLAGS },
+    { sub: 'off' }
+  ],
+  errorReply: 'commands.photolock.error',
+  async run({ api, state, threadID, senderID, subcommand, flags, applyLockChange, applyTimedLockChange, describeTiming, t, reply }) {
+    if (subcommand === 'on') {
+      try {
+        const timed = await applyTimedLockChange({ threadID, actorID: senderID, type: 'photo', action: 'lock' }, () => lockGroupPhoto(api, state, threadID), flags);
+        await reply(describeTiming(timed, t('commands.photolock.locked')));
+      } catch (e) {
+        if (!(e instanceof LockError)) throw e;
+        await reply(t('commands.photolock.noPhoto'));
+      }
+    } else {
+      await applyLockChange({ threadID, actorID: senderID, type: 'photo', action: 'unlock' }, () => unlockGroupPhoto(state, threadID));
+      await reply(t('commands.photolock.unlocked'));
+    }
+  }
+};
@@ -0,0 +1,44 @@
+const { getRole, canManageRole, grantRole, revokeRole, listOwners } = require('../roles');
+
+const ROLE_ALIASES = { admin: 'admin', mod: 'moderator', moderator: 'moderator' };
+
+const ROLE_PARAMS = [
+  { name: 'role', type: 'choice', choices: Object.keys(ROLE_ALIASES), display: 'admin|mod' },
+  { name: 'users', type: 'users' }
+];
+
+module.exports = {
+  name: 'role',
+  category: 'roles',
+  capability: 'roles.manage',
+  usage: [
+    { sub: 'add', params: ROLE_PARAMS },
+    { sub: 'remove', params: ROLE_PARAMS },
+    { sub: 'list' }
+  ],
+  errorReply: 'commands.role.error',
+  async run({ state, threadID, senderID, subcommand, params, persistState, emitLog, t, reply }) {
+    if (subcommand === 'list') {
+      const { admins, moderators } = state.roles;
+      const none = t('general.none');
+      return reply(t('commands.role.list', {
+        owners: listOwners(state).join(', ') || none,
+        admins: admins.join(', ') || none,
+        moderators: (moderators[threadID] || []).join(', ') || none
+      }));
+    }
+
+    const role = ROLE_ALIASES[params.role];
+    const userIDs = params.users;
+    if (!canManageRole(getRole(state, senderID, threadID), role)) {
+      return reply(t('commands.role.cannotManage', { role }));
+    }
+
+    const changed = userIDs.filter(userID => subcommand === 'add'
+      ? grantRole(state, userID, role, threadID)
+      : revokeRole(state, userID, role, threadID));
+    persistState();
+    emitLog(`👮 ${senderID} ${subcommand === 'add' ? 'granted' : 'revoked'} ${role} for ${changed.join(', ') || 'nobody'} in ${threadID}`);
+    await reply(t(subcommand === 'add' ? 'commands.role.added' : 'commands.role.removed', { count: changed.length, role }));
+  }
+};
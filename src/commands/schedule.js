@@ -0,0 +1,18 @@
+module.exports = {
+  name: 'schedule',
+  aliases: ['schedules'],
+  category: 'security',
+  capability: 'locks.manage',
+  usage: [
+    { sub: 'list' },
+    { sub: 'cancel', params: [{ name: 'id', type: 'number', min: 1 }] }
+  ],
+  async run({ threadID, subcommand, params, cancelGroupSchedule, describeSchedules, t, reply }) {
+    if (subcommand === 'cancel') {
+      const entry = cancelGroupSchedule(threadID, params.id);
+      await reply(t(entry ? 'commands.schedule.cancelled' : 'commands.schedule.notFound', { id: params.id }));
+    } else {
+      await reply(t('commands.schedule.list', { entries: describeSchedules('\n') }));
+    }
+  }
+};
@@ -0,0 +1,53 @@
+const { LockError, lockGroupSetting, unlockGroupSetting } = require('../locks');
+const { TIMING_FLAGS } = require('../schedule');
+
+// /emojilock, /colorlock and /approvallock work alike: `on` locks the given
+// value, or the group's current one, and `off` unlocks. `toValue` turns the
+// typed param into the locked value and `describe` turns it back for replies.
+function settingLockCommand({ name, type, param, toValue = (value) => value, describe = (value) => value }) {
+  return {
+    name,
+    category: 'security',
+    capability: 'locks.manage',
+    usage: [
+      { sub: 'on', params: [{ ...param, optional: true }], flags: TIMING_FLAGS },
+      { sub: 'off' }
+    ],
+    errorReply: `commands.${name}.error`,
+    async run({ api, state, threadID, senderID, subcommand, params, flags, applyLockChange, applyTimedLockChange, describeTiming, t, reply }) {
+      if (subcommand === 'off') {
+        await applyLockChange({ threadID, actorID: senderID, type, action: 'unlock' }, () => unlockGroupSetting(state, threadID, type));
+        return reply(t(`commands.${name}.unlocked`));
+      }
+      const value = params[param.name] === null ? null : toValue(params[param.name]);
+      try {
+        const timed = await applyTimedLockChange({ threadID, actorID: senderID, type, action: 'lock', newValue: value }, () => lockGroupSetting(api, state, threadID, type, value), flags);
+        const locked = timed.result ?? value;
+        await reply(describeTiming(timed, t(`commands.${name}.locked`, { value: describe(locked, t) })));
+      } catch (e) {
+        if (!(e instanceof LockError)) throw e;
+        await reply(t(`commands.${name}.nothingToLock`));
+      }
+    }
+  };
+}
+
+module.exports = [
+  settingLockCommand({
+    name: 'emojilock',
+    type: 'emoji',
+    param: { name: 'emoji', type: 'word' }
+  }),
+  settingLockCommand({
+    name: 'colorlock',
+    type: 'color',
+    param: { name: 'color', type: 'word' }
+  }),
+  settingLockCommand({
+    name: 'approvallock',
+    type: 'approval',
+    param: { name: 'mode', type: 'choice', choices: ['required', 'open'] },
+    toValue: (mode) => mode === 'required',
+    describe: (required, t) => t(required ? 'commands.approvallock.required' : 'commands.approvallock.open')
+  })
+];
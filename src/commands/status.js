@@ -0,0 +1,46 @@
+const { getLockStatus } = require('../locks');
+const { getMemberProtection } = require('../members');
+const { getFloodSettings } = require('../flood');
+
+// "ON (value)" or "OFF", plus the tag of a lock that stopped enforcing after a revert loop
+function describeLock(t, lock, withValue = true) {
+  const value = !lock.locked ? t('general.off') : withValue ? t('commands.status.onWithValue', { value: lock.value }) : t('general.on');
+  return { value, paused: lock.paused ? t('commands.status.paused', { actorID: lock.paused.actorID }) : '' };
+}
+
+function onOff(t, enabled) {
+  return { value: t(enabled ? 'general.on' : 'general.off') };
+}
+
+module.exports = {
+  name: 'status',
+  aliases: ['locks'],
+  category: 'security',
+  capability: 'status.view',
+  usage: [
+    {}
+  ],
+  async run({ state, threadID, describeMemberNickLocks, describeSchedules, userNames, t, reply }) {
+    const status = getLockStatus(state, threadID);
+    const members = getMemberProtection(state, threadID);
+    const protectedNames = members.protectedMembers.length ? (await userNames(members.protectedMembers)).join(', ') : t('general.none');
+    const schedules = status.schedules.length ? '\n' + describeSchedules('\n') : t('general.none');
+    await reply([
+      t('commands.status.title'),
+      t('commands.status.nameLock', describeLock(t, status.name)),
+      t('commands.status.nameAutoClear', onOff(t, status.name.autoClear)),
+      t('commands.status.nickLock', describeLock(t, status.nickname)),
+      t('commands.status.nickAutoClear', onOff(t, status.nickname.autoClear)),
+      t('commands.status.memberNickLocks', { value: await describeMemberNickLocks() }),
+      t('commands.status.photoLock', describeLock(t, status.photo, false)),
+      t('commands.status.emojiLock', describeLock(t, status.emoji)),
+      t('commands.status.colorLock', describeLock(t, status.color)),
+      t('commands.status.approvalLock', describeLock(t, { ...status.approval, value: t(status.approval.value ? 'commands.approvallock.required' : 'commands.approvallock.open') })),
+      t('commands.status.trustAdmins', onOff(t, status.trustThreadAdmins)),
+      t('commands.status.protectedMembers', { value: protectedNames }),
+      t('commands.status.allowList', onOff(t, members.joinAllowList)),
+      t('commands.status.flood', onOff(t, getFloodSettings(state, threadID).enabled)),
+      t('commands.status.schedules', { value: schedules })
+    ].join('\n'));
+  }
+};
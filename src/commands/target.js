@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+
+module.exports = {
+  name: 'target',
+  category: 'target',
+  capability: 'attack.manage',
+  usage: [
+    { sub: 'on', params: [{ name: 'file_number', type: 'integer', min: 1 }, { name: 'name', type: 'text' }] },
+    { sub: 'off' }
+  ],
+  async run({ api, threadID, subcommand, params, targetSessions, emitLog, t, reply }) {
+    if (subcommand === 'on') {
+      const { file_number: fileNumber, name: targetName } = params;
+
+      const filePath = path.join(__dirname, '..', '..', `np${fileNumber}.txt`);
+      if (!fs.existsSync(filePath)) {
+        return reply(t('commands.target.fileMissing', { file: fileNumber }));
+      }
+
+      const targetMessages = fs.readFileSync(filePath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim() !== '');
+
+      if (targetMessages.length === 0) {
+        return reply(t('commands.target.fileEmpty', { file: fileNumber }));
+      }
+
+      const announcement = t('commands.target.announce', { name: targetName });
+      if (announcement) await api.sendMessage(announcement, threadID);
+
+      if (targetSessions[threadID] && targetSessions[threadID].active) {
+        clearInterval(targetSessions[threadID].interval);
+        delete targetSessions[threadID];
+        await reply(t('commands.target.replaced'));
+      }
+
+      let currentIndex = 0;
+      const interval = setInterval(async () => {
+        const message = `${targetName} ${targetMessages[currentIndex]}`;
+        try {
+          await api.sendMessage(message, threadID);
+          currentIndex = (currentIndex + 1) % targetMessages.length;
+        } catch (err) {
+          emitLog('❌ Target message error: ' + err.message, true);
+          clearInterval(interval);
+          delete targetSessions[threadID];
+          await reply(t('commands.target.sendFailed'));
+        }
+      }, 10000);
+
+      targetSessions[threadID] = {
+        active: true,
+        targetName,
+        interval
+      };
+      await reply(t('commands.target.started', { name: targetName }));
+
+    } else {
+      if (targetSessions[threadID] && targetSessions[threadID].active) {
+        clearInterval(targetSessions[threadID].interval);
+        delete targetSessions[threadID];
+        await reply(t('commands.target.stopped'));
+      } else {
+        await reply(t('commands.target.nothingActive'));
+      }
+    }
+  }
+};
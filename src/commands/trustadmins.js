@@ -0,0 +1,13 @@
+module.exports = {
+  name: 'trustadmins',
+  category: 'security',
+  capability: 'locks.manage',
+  usage: [
+    { sub: 'on' },
+    { sub: 'off' }
+  ],
+  async run({ threadID, subcommand, setGroupAdminTrust, t, reply }) {
+    setGroupAdminTrust(threadID, subcommand === 'on');
+    await reply(t(subcommand === 'on' ? 'commands.trustadmins.enabled' : 'commands.trustadmins.disabled'));
+  }
+};
@@ -0,0 +1,23 @@
+const path = require('path');
+const { readJSON, writeJSONAtomic } = require('./storage');
+
+const CONFIG_FILE = process.env.CONFIG_FILE || path.join(__dirname, '..', 'config.json');
+
+function loadConfig(filePath = CONFIG_FILE) {
+  return readJSON(filePath, null);
+}
+
+// Merge `changes` into the saved config instead of replacing it, so writing
+// one key (e.g. botNickname) never drops the others (e.g. cookies).
+function updateConfig(changes, filePath = CONFIG_FILE) {
+  const current = readJSON(filePath, {}) || {};
+  const updated = { ...current, ...changes };
+  writeJSONAtomic(filePath, updated);
+  return updated;
+}
+
+module.exports = {
+  CONFIG_FILE,
+  loadConfig,
+  updateConfig
+};
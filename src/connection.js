@@ -0,0 +1,196 @@
+// Keeps one Messenger session alive. The connection is always in exactly one
+// of CONNECTION_STATES; every transition clears the timers of the state it
+// leaves, so re-logins and reconnects never stack intervals.
+//
+//   disconnected → logging-in → online ⇄ backing-off → failed
+//
+// A listener error first retries listenMqtt on the same session, then logs in
+// again from scratch. Retries back off exponentially and give up after
+// `maxAttempts`; `start` begins again from a failed or stopped connection.
+
+const CONNECTION_STATES = ['disconnected', 'logging-in', 'online', 'backing-off', 'failed'];
+
+const DEFAULT_CONNECTION_OPTIONS = {
+  backoffMs: 5000,
+  maxBackoffMs: 5 * 60 * 1000,
+  maxAttempts: 8,
+  // Retries that re-attach the listener before logging in again
+  relistenAttempts: 2,
+  // Online this long without an error counts as recovered
+  stableMs: 60 * 1000
+};
+
+// `login(credentials, callback)` is ws3-fca's login. `onOnline(api, timers)` runs
+// after each successful login; it schedules its own work through `timers.later`
+// and `timers.every` so it is cancelled when the session ends. `onOffline()` runs
+// when a session is torn down, `onEvent(api, event)` for every MQTT event and
+// `onStatus(status)` after every transition.
+function createConnection({ login, emitLog, onOnline = () => {}, onOffline = () => {}, onEvent = () => {}, onStatus = () => {}, now = Date.now, ...options }) {
+  const config = { ...DEFAULT_CONNECTION_OPTIONS };
+  let credentials = null;
+  let api = null;
+  let state = 'disconnected';
+  let since = now();
+  let onlineSince = null;
+  let lastEventAt = null;
+  let lastError = null;
+  let attempt = 0;
+  let reconnects = 0;
+  // Bumped on every login and listen so callbacks from an abandoned one are ignored
+  let generation = 0;
+  let timers = [];
+
+  function configure(changes = {}) {
+    for (const key of Object.keys(DEFAULT_CONNECTION_OPTIONS)) {
+      if (Number.isFinite(changes[key]) && changes[key] >= 0) config[key] = changes[key];
+    }
+    return { ...config };
+  }
+
+  function later(ms, fn) {
+    const timer = setTimeout(fn, ms);
+    timers.push(() => clearTimeout(timer));
+  }
+
+  function every(ms, fn) {
+    const timer = setInterval(fn, ms);
+    timers.push(() => clearInterval(timer));
+  }
+
+  function clearTimers() {
+    for (const clear of timers) clear();
+    timers = [];
+  }
+
+  function status() {
+    return {
+      state,
+      since: new Date(since).toISOString(),
+      uptimeMs: onlineSince === null ? 0 : now() - onlineSince,
+      lastEventAt: lastEventAt === null ? null : new Date(lastEventAt).toISOString(),
+      reconnects,
+      attempt,
+      lastError
+    };
+  }
+
+  function transition(next) {
+    clearTimers();
+    if (state === 'online' && next !== 'online') {
+      onlineSince = null;
+      onOffline();
+    }
+    state = next;
+    since = now();
+    onStatus(status());
+  }
+
+  function stopListening() {
+    if (!api) return;
+    try {
+      api.stopListening();
+    } catch (e) {
+      emitLog(`❌ Failed to stop listener: ${e.message}`, true);
+    }
+  }
+
+  function start(newCredentials = credentials) {
+    if (!newCredentials) throw new Error('No credentials to log in with.');
+    credentials = newCredentials;
+    stopListening();
+    api = null;
+    attempt = 0;
+    lastError = null;
+    logIn();
+  }
+
+  function stop() {
+    generation++;
+    stopListening();
+    api = null;
+    transition('disconnected');
+  }
+
+  function logIn() {
+    const current = ++generation;
+    transition('logging-in');
+    emitLog('🚀 Logging in to Messenger...');
+    login({ appState: credentials }, (err, newApi) => {
+      if (current !== generation) return;
+      if (err) return retry(`Login error: ${err.message || err.error || err}`, { relogin: true });
+
+      api = newApi;
+      emitLog('✅ Bot successfully logged in.');
+      api.setOptions({
+        selfListen: true,
+        listenEvents: true,
+        updatePresence: false
+      });
+      listen({ fresh: true });
+    });
+  }
+
+  function listen({ fresh }) {
+    const current = ++generation;
+    const session = api;
+    transition('online');
+    onlineSince = now();
+    later(config.stableMs, () => { attempt = 0; });
+    session.listenMqtt(async (err, event) => {
+      if (current !== generation) return;
+      if (err) {
+        retry(`Listener error: ${err.message || err.error || err}`, { relogin: false });
+        return;
+      }
+      lastEventAt = now();
+      await onEvent(session, event);
+    });
+    onOnline(session, { later, every, fresh });
+  }
+
+  function retry(reason, { relogin }) {
+    generation++;
+    lastError = reason;
+    attempt++;
+    emitLog(`❌ ${reason}`, true);
+    stopListening();
+
+    if (attempt > config.maxAttempts) {
+      api = null;
+      transition('failed');
+      emitLog(`❌ Gave up after ${config.maxAttempts} attempts. Start the bot again from the dashboard.`, true);
+      return;
+    }
+
+    const delayMs = Math.min(config.backoffMs * 2 ** (attempt - 1), config.maxBackoffMs);
+    const relisten = !relogin && api && attempt <= config.relistenAttempts;
+    if (!relisten) api = null;
+    transition('backing-off');
+    emitLog(`🔄 Reconnect attempt #${attempt} in ${Math.round(delayMs / 1000)}s (${relisten ? 'listener' : 'login'})...`);
+    later(delayMs, () => {
+      reconnects++;
+      if (relisten) {
+        listen({ fresh: false });
+      } else {
+        logIn();
+      }
+    });
+  }
+
+  configure(options);
+
+  return {
+    configure,
+    start,
+    stop,
+    status,
+    getAPI: () => (state === 'online' ? api : null),
+    getCredentials: () => credentials
+  };
+}
+
+module.exports = {
+  CONNECTION_STATES,
+  DEFAULT_CONNECTION_OPTIONS,
+  createConnection
+};
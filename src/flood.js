@@ -0,0 +1,127 @@
+// Flood protection: per-sender sliding windows of recent messages in each
+// group, the group's limits and escalating actions, and the strike history
+// moderators can view and reset. Windows live in memory; strikes are saved in
+// state.strikes as { [threadID]: { [userID]: [{ at, rule, count, action }] } }.
+
+const { createDefaultPolicy, getThreadPolicy } = require('./state');
+const { LockError } = require('./locks');
+
+const FLOOD_RULES = ['messages', 'repeats', 'mentions'];
+const FLOOD_ACTIONS = ['warn', 'notify', 'remove'];
+
+// Oldest strikes are dropped past this many per member
+const MAX_STRIKES_KEPT = 50;
+
+const LIMIT_KEYS = { messages: 'maxMessages', repeats: 'maxRepeats', mentions: 'maxMentions' };
+
+function getFloodSettings(state, threadID) {
+  const defaults = createDefaultPolicy().flood;
+  const flood = { ...defaults, ...state.threadPolicies[threadID]?.flood };
+  return { ...flood, actions: [...flood.actions] };
+}
+
+// Applies `changes` (any fields of a policy's `flood`) to the group's settings
+function updateFloodSettings(state, threadID, changes) {
+  const policy = getThreadPolicy(state, threadID);
+  const flood = getFloodSettings(state, threadID);
+  for (const [key, value] of Object.entries(changes)) {
+    if (!(key in flood)) throw new LockError(`Unknown flood setting "${key}".`);
+    if (key === 'enabled') {
+      if (typeof value !== 'boolean') throw new LockError('"enabled" must be true or false.');
+    } else if (key === 'actions') {
+      if (!Array.isArray(value) || value.length === 0 || !value.every(action => FLOOD_ACTIONS.includes(action))) {
+        throw new LockError(`"actions" must list one or more of: ${FLOOD_ACTIONS.join(', ')}.`);
+      }
+    } else if (!Number.isInteger(value) || value < 1) {
+      throw new LockError(`"${key}" must be a whole number above 0.`);
+    }
+    flood[key] = value;
+  }
+  policy.flood = flood;
+  return { ...flood, actions: [...flood.actions] };
+}
+
+// Remembers each sender's recent messages. `record` returns the first limit
+// the sender is over as { rule, count }, or null.
+function createFloodDetector({ idleMs = 10 * 60 * 1000 } = {}) {
+  const windows = new Map();
+  let recorded = 0;
+
+  function record(threadID, senderID, { body = '', mentionCount = 0 }, limits, now = Date.now()) {
+    const key = `${threadID}:${senderID}`;
+    const recent = (windows.get(key) || []).filter(message => now - message.at < limits.windowMs);
+    const text = body.trim().toLowerCase();
+    recent.push({ at: now, text, mentionCount });
+    windows.set(key, recent);
+    if (++recorded % 500 === 0) sweep(now);
+
+    const mentions = recent.reduce((sum, message) => sum + message.mentionCount, 0);
+    if (mentions > limits.maxMentions) return { rule: 'mentions', count: mentions };
+    const repeats = text ? recent.filter(message => message.text === text).length : 0;
+    if (repeats > limits.maxRepeats) return { rule: 'repeats', count: repeats };
+    if (recent.length > limits.maxMessages) return { rule: 'messages', count: recent.length };
+    return null;
+  }
+
+  // Starts the sender's window over, so one burst is one strike
+  function clear(threadID, senderID) {
+    windows.delete(`${threadID}:${senderID}`);
+  }
+
+  function sweep(now = Date.now()) {
+    for (const [key, recent] of windows) {
+      if (now - recent[recent.length - 1].at >= idleMs) windows.delete(key);
+    }
+  }
+
+  return { record, clear };
+}
+
+function getStrikes(state, threadID, userID) {
+  return [...(state.strikes[threadID]?.[String(userID)] || [])];
+}
+
+// Members of the group with strikes, as { userID, strikes }, most strikes first
+function listStruckMembers(state, threadID) {
+  return Object.entries(state.strikes[threadID] || {})
+    .map(([userID, strikes]) => ({ userID, strikes: [...strikes] }))
+    .sort((a, b) => b.strikes.length - a.strikes.length);
+}
+
+// Strikes recent enough to count toward the next action
+function countActiveStrikes(state, threadID, userID, strikeWindowMs, now = Date.now()) {
+  return getStrikes(state, threadID, userID).filter(strike => now - Date.parse(strike.at) < strikeWindowMs).length;
+}
+
+function addStrike(state, threadID, userID, { rule, count, action }) {
+  const byUser = state.strikes[threadID] = state.strikes[threadID] || {};
+  const strikes = byUser[String(userID)] = byUser[String(userID)] || [];
+  const strike = { at: new Date().toISOString(), rule, count, action };
+  strikes.push(strike);
+  if (strikes.length > MAX_STRIKES_KEPT) strikes.splice(0, strikes.length - MAX_STRIKES_KEPT);
+  return strike;
+}
+
+// Returns how many strikes were cleared
+function resetStrikes(state, threadID, userID) {
+  const cleared = getStrikes(state, threadID, userID).length;
+  if (state.strikes[threadID]) {
+    delete state.strikes[threadID][String(userID)];
+    if (Object.keys(state.strikes[threadID]).length === 0) delete state.strikes[threadID];
+  }
+  return cleared;
+}
+
+module.exports = {
+  FLOOD_RULES,
+  FLOOD_ACTIONS,
+  LIMIT_KEYS,
+  getFloodSettings,
+  updateFloodSettings,
+  createFloodDetector,
+  getStrikes,
+  listStruckMembers,
+  countActiveStrikes,
+  addStrike,
+  resetStrikes
+};
@@ -0,0 +1,85 @@
+// Welcome and farewell settings of a group, and the batching that turns a burst
+// of joins into one combined welcome. Templates are plain text with the same
+// {placeholders} as the locale packs; a null template uses the locale's own.
+
+const { createDefaultPolicy, getThreadPolicy } = require('./state');
+const { LockError } = require('./locks');
+
+const DEFAULT_BATCH_OPTIONS = {
+  windowMs: 5000
+};
+
+function getGreetings(state, threadID) {
+  return { ...createDefaultPolicy().greetings, ...state.threadPolicies[threadID]?.greetings };
+}
+
+// Applies `changes` (any fields of a policy's `greetings`) to the group's settings
+function updateGreetings(state, threadID, changes) {
+  const policy = getThreadPolicy(state, threadID);
+  const greetings = getGreetings(state, threadID);
+  for (const [key, value] of Object.entries(changes)) {
+    if (!(key in greetings)) throw new LockError(`Unknown greeting setting "${key}".`);
+    if (typeof greetings[key] === 'boolean') {
+      if (typeof value !== 'boolean') throw new LockError(`"${key}" must be true or false.`);
+    } else if (value !== null && (typeof value !== 'string' || !value.trim())) {
+      throw new LockError(`"${key}" must be non-empty text, or null for the default.`);
+    }
+    greetings[key] = value;
+  }
+  policy.greetings = greetings;
+  return { ...greetings };
+}
+
+// Members who join a thread while its window is open are welcomed together.
+// The first join opens the window; `flush` from that call gets everyone.
+function createJoinBatcher(options = {}) {
+  const config = { ...DEFAULT_BATCH_OPTIONS };
+  const pending = new Map();
+
+  function configure(changes = {}) {
+    for (const key of Object.keys(DEFAULT_BATCH_OPTIONS)) {
+      if (Number.isFinite(changes[key]) && changes[key] >= 0) config[key] = changes[key];
+    }
+    return { ...config };
+  }
+
+  function add(threadID, members, flush) {
+    const batch = pending.get(threadID);
+    if (batch) {
+      batch.members.push(...members.filter(member => !batch.members.some(m => m.id === member.id)));
+      return;
+    }
+    const timer = setTimeout(() => {
+      pending.delete(threadID);
+      flush(next.members);
+    }, config.windowMs);
+    if (timer.unref) timer.unref();
+    const next = { members: [...members], timer };
+    pending.set(threadID, next);
+  }
+
+  // Drops a member who left before the welcome went out
+  function remove(threadID, memberID) {
+    const batch = pending.get(threadID);
+    if (batch) batch.members = batch.members.filter(member => member.id !== memberID);
+  }
+
+  function cancel(threadID) {
+    clearTimeout(pending.get(threadID)?.timer);
+    pending.delete(threadID);
+  }
+
+  function stop() {
+    for (const threadID of [...pending.keys()]) cancel(threadID);
+  }
+
+  configure(options);
+  return { configure, add, remove, cancel, stop };
+}
+
+module.exports = {
+  DEFAULT_BATCH_OPTIONS,
+  getGreetings,
+  updateGreetings,
+  createJoinBatcher
+};
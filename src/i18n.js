@@ -0,0 +1,130 @@
+// Reply templates. Every text the bot sends to a chat lives in a locale pack in
+// src/locales/<code>.json under a dotted key like "commands.group.locked".
+// Templates use {placeholders}; a list of templates means "pick one at random"
+// and an empty list means "say nothing". A key missing from a pack falls back
+// to the pack's `meta.fallback`, then to the bot's default locale, then to
+// BASE_LOCALE, which has every key.
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES_DIR = path.join(__dirname, 'locales');
+const BASE_LOCALE = 'hi-Latn';
+
+function loadLocales(dir = LOCALES_DIR) {
+  const locales = {};
+  for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+    const code = path.basename(file, '.json');
+    try {
+      locales[code] = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    } catch (e) {
+      throw new Error(`Locale ${file} is not valid JSON: ${e.message}`);
+    }
+  }
+  if (!locales[BASE_LOCALE]) throw new Error(`Base locale ${BASE_LOCALE} is missing from ${dir}.`);
+  return locales;
+}
+
+// Fills {name} placeholders; ones without a value are left as written
+function renderTemplate(template, vars = {}) {
+  return String(template).replace(/\{(\w+)\}/g, (match, name) => (vars[name] === undefined || vars[name] === null ? match : String(vars[name])));
+}
+
+function lookup(pack, key) {
+  let node = pack;
+  for (const part of key.split('.')) {
+    if (!node || typeof node !== 'object' || !(part in node)) return undefined;
+    node = node[part];
+  }
+  return node;
+}
+
+function createTranslator({ locales = loadLocales(), defaultLocale = BASE_LOCALE, random = Math.random } = {}) {
+  const fallbackLocale = locales[defaultLocale] ? defaultLocale : BASE_LOCALE;
+
+  function has(code) {
+    return Boolean(code) && Object.prototype.hasOwnProperty.call(locales, code);
+  }
+
+  function list() {
+    return Object.keys(locales).map(code => ({ code, name: locales[code].meta?.name || code }));
+  }
+
+  // The packs to search for `code`, most specific first
+  function chain(code) {
+    const codes = [];
+    let next = has(code) ? code : fallbackLocale;
+    while (next && has(next) && !codes.includes(next)) {
+      codes.push(next);
+      next = locales[next].meta?.fallback;
+    }
+    for (const extra of [fallbackLocale, BASE_LOCALE]) {
+      if (!codes.includes(extra)) codes.push(extra);
+    }
+    return codes;
+  }
+
+  // The raw template (string, list or object) for `key`, or undefined
+  function raw(code, key) {
+    for (const candidate of chain(code)) {
+      const value = lookup(locales[candidate], key);
+      if (value !== undefined) return value;
+    }
+    return undefined;
+  }
+
+  function hasKey(key) {
+    return typeof key === 'string' && raw(fallbackLocale, key) !== undefined;
+  }
+
+  // Renders one template or picks one from a list; '' for an empty list
+  function render(template, vars = {}) {
+    if (Array.isArray(template)) {
+      if (template.length === 0) return '';
+      template = template[Math.floor(random() * template.length)];
+    }
+    if (typeof template !== 'string') throw new Error('Reply template is not text.');
+    return renderTemplate(template, vars);
+  }
+
+  // The rendered text for `key` in locale `code`
+  function t(code, key, vars = {}) {
+    const template = raw(code, key);
+    if (template === undefined) throw new Error(`Missing reply template "${key}".`);
+    return render(template, vars);
+  }
+
+  return {
+    has,
+    hasKey,
+    list,
+    raw,
+    render,
+    t,
+    getDefault: () => fallbackLocale
+  };
+}
+
+let baseTranslator = null;
+
+// Renders `key` from the base pack. For code that runs outside a chat, like
+// argument parsing, where no group locale is known.
+function translateBase(key, vars) {
+  baseTranslator = baseTranslator || createTranslator();
+  return baseTranslator.t(BASE_LOCALE, key, vars);
+}
+
+function hasBaseKey(key) {
+  baseTranslator = baseTranslator || createTranslator();
+  return baseTranslator.hasKey(key);
+}
+
+module.exports = {
+  LOCALES_DIR,
+  BASE_LOCALE,
+  loadLocales,
+  renderTemplate,
+  createTranslator,
+  translateBase,
+  hasBaseKey
+};
@@ -0,0 +1,352 @@
+// Lock operations shared by the chat commands and the REST API. Each function
+// updates `state` in place and performs the Messenger calls; callers persist.
+const { createDefaultPolicy, getThreadPolicy } = require('./state');
+const { can } = require('./roles');
+const { storeGroupPhoto, releaseGroupPhoto, restoreGroupPhoto } = require('./photo-lock');
+const { listSchedules } = require('./schedule');
+
+// Lock types that can be tampered with, paused and resumed
+const LOCK_TYPES = ['name', 'nickname', 'photo', 'emoji', 'color', 'approval'];
+
+// Group settings locked to one value: where the value is kept in state, how
+// getThreadInfo reports it and the call that puts it back. Approval mode is
+// true when new members need an admin's approval.
+const SETTING_LOCKS = {
+  emoji: {
+    stateKey: 'lockedEmoji',
+    read: (threadInfo) => threadInfo.emoji || null,
+    apply: (api, threadID, emoji) => api.changeThreadEmoji(emoji, threadID)
+  },
+  color: {
+    stateKey: 'lockedColor',
+    read: (threadInfo) => threadInfo.color || null,
+    apply: (api, threadID, color) => api.changeThreadColor(color, threadID)
+  },
+  approval: {
+    stateKey: 'lockedApprovalMode',
+    read: (threadInfo) => Boolean(threadInfo.approvalMode),
+    apply: (api, threadID, required) => api.changeApprovalMode(required ? 1 : 0, threadID)
+  }
+};
+
+class LockError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LockError';
+  }
+}
+
+function getParticipantIDs(threadInfo) {
+  if (Array.isArray(threadInfo.participantIDs)) return threadInfo.participantIDs.map(String);
+  return (threadInfo.userInfo || []).map(user => String(user.id));
+}
+
+// Members whose nickname a group-wide operation should leave alone: the bot,
+// members with their own pinned nickname, and anyone allowed to bypass locks.
+function isExemptFromGroupNickname(api, state, threadID, participantID) {
+  return participantID === api.getCurrentUserID()
+    || participantID in (state.lockedNicknames[threadID] || {})
+    || can(state, participantID, 'locks.bypass', threadID);
+}
+
+// Changes each member's nickname and reports which calls went through, so one
+// failure (e.g. a member who just left) does not stop the rest.
+async function changeNicknames(api, threadID, participantIDs, nickname) {
+  const results = await Promise.allSettled(participantIDs.map(participantID => api.changeNickname(nickname, threadID, participantID)));
+  const changed = [];
+  const failed = [];
+  results.forEach((result, i) => {
+    if (result.status === 'fulfilled') changed.push(participantIDs[i]);
+    else failed.push({ participantID: participantIDs[i], error: result.reason.message });
+  });
+  return { changed, failed };
+}
+
+async function applyNicknameToGroup(api, state, threadID, nickname) {
+  const threadInfo = await api.getThreadInfo(threadID);
+  const participantIDs = getParticipantIDs(threadInfo)
+    .filter(participantID => !isExemptFromGroupNickname(api, state, threadID, participantID));
+  return changeNicknames(api, threadID, participantIDs, nickname);
+}
+
+async function lockGroupName(api, state, threadID, name) {
+  if (!name) throw new LockError('Group name is required.');
+  state.lockedGroups[threadID] = name;
+  Object.assign(getThreadPolicy(state, threadID), { nameLock: true, nameAutoClear: false });
+  await api.setTitle(name, threadID);
+}
+
+function unlockGroupName(state, threadID) {
+  delete state.lockedGroups[threadID];
+  Object.assign(getThreadPolicy(state, threadID), { nameLock: false, nameAutoClear: false });
+}
+
+async function enableGroupNameAutoClear(api, state, threadID) {
+  delete state.lockedGroups[threadID];
+  Object.assign(getThreadPolicy(state, threadID), { nameLock: false, nameAutoClear: true });
+  await api.setTitle("", threadID);
+}
+
+async function lockGroupNickname(api, state, threadID, nickname) {
+  if (!nickname) throw new LockError('Nickname is required.');
+  Object.assign(getThreadPolicy(state, threadID), { nickLock: true, nickAutoClear: false, groupNickname: nickname });
+  return applyNicknameToGroup(api, state, threadID, nickname);
+}
+
+// Drops the group-wide nickname lock, every member pin and auto-clear.
+function unlockNicknames(state, threadID) {
+  delete state.lockedNicknames[threadID];
+  Object.assign(getThreadPolicy(state, threadID), { nickLock: false, nickAutoClear: false, groupNickname: null });
+}
+
+// Drops only the group-wide nickname lock; member pins stay.
+function unlockGroupNickname(state, threadID) {
+  Object.assign(getThreadPolicy(state, threadID), { nickLock: false, nickAutoClear: false, groupNickname: null });
+}
+
+async function enableNicknameAutoClear(api, state, threadID) {
+  delete state.lockedNicknames[threadID];
+  Object.assign(getThreadPolicy(state, threadID), { nickLock: false, nickAutoClear: true, groupNickname: null });
+  return applyNicknameToGroup(api, state, threadID, "");
+}
+
+function disableNicknameAutoClear(state, threadID) {
+  getThreadPolicy(state, threadID).nickAutoClear = false;
+}
+
+async function lockMemberNicknames(api, state, threadID, memberIDs, nickname) {
+  if (!nickname) throw new LockError('Nickname is required.');
+  if (memberIDs.length === 0) throw new LockError('At least one member is required.');
+  const locks = state.lockedNicknames[threadID] = state.lockedNicknames[threadID] || {};
+  for (const memberID of memberIDs) {
+    locks[String(memberID)] = nickname;
+  }
+  return changeNicknames(api, threadID, memberIDs.map(String), nickname);
+}
+
+// A trusted thread admin's rename becomes the locked name; clearing the name
+// turns the lock into auto-clear. Nothing is sent to Messenger.
+function adoptGroupName(state, threadID, name) {
+  if (name) {
+    state.lockedGroups[threadID] = name;
+  } else {
+    delete state.lockedGroups[threadID];
+  }
+  Object.assign(getThreadPolicy(state, threadID), { nameLock: Boolean(name), nameAutoClear: !name });
+}
+
+// A trusted thread admin's nickname change is pinned for that member, so the
+// rest of the group keeps the group-wide nickname. "" pins an empty nickname.
+function adoptMemberNickname(state, threadID, participantID, nickname) {
+  const locks = state.lockedNicknames[threadID] = state.lockedNicknames[threadID] || {};
+  locks[String(participantID)] = nickname;
+}
+
+function setThreadAdminTrust(state, threadID, enabled) {
+  getThreadPolicy(state, threadID).trustThreadAdmins = Boolean(enabled);
+}
+
+// Pass 'all' to drop every pin in the thread. Returns the IDs that were cleared.
+function unlockMemberNicknames(state, threadID, memberIDs) {
+  const locks = state.lockedNicknames[threadID] || {};
+  const cleared = memberIDs === 'all'
+    ? Object.keys(locks)
+    : memberIDs.map(String).filter(id => id in locks);
+  for (const memberID of cleared) {
+    delete locks[memberID];
+  }
+  if (Object.keys(locks).length === 0) {
+    delete state.lockedNicknames[threadID];
+  }
+  return cleared;
+}
+
+async function lockGroupPhoto(api, state, threadID) {
+  const threadInfo = await api.getThreadInfo(threadID);
+  if (!threadInfo.imageSrc) {
+    throw new LockError('The group has no photo to lock.');
+  }
+  const previous = state.lockedGroupPhoto[threadID];
+  state.lockedGroupPhoto[threadID] = await storeGroupPhoto(threadInfo.imageSrc);
+  releaseGroupPhoto(state.lockedGroupPhoto, previous);
+  return state.lockedGroupPhoto[threadID];
+}
+
+function unlockGroupPhoto(state, threadID) {
+  const previous = state.lockedGroupPhoto[threadID];
+  delete state.lockedGroupPhoto[threadID];
+  releaseGroupPhoto(state.lockedGroupPhoto, previous);
+  return Boolean(previous);
+}
+
+function getLockedSetting(state, threadID, type) {
+  return state[SETTING_LOCKS[type].stateKey][threadID] ?? null;
+}
+
+// Locks an emoji, color or approval setting to `value`, or to what the group
+// has now when `value` is null. Returns the locked value.
+async function lockGroupSetting(api, state, threadID, type, value = null) {
+  const setting = SETTING_LOCKS[type];
+  if (!setting) throw new LockError(`Unknown lock type "${type}".`);
+  const current = setting.read(await api.getThreadInfo(threadID));
+  const locked = value ?? current;
+  if (locked === null) throw new LockError(`The group has no ${type} to lock.`);
+  state[setting.stateKey][threadID] = locked;
+  if (locked !== current) await setting.apply(api, threadID, locked);
+  return locked;
+}
+
+function unlockGroupSetting(state, threadID, type) {
+  const setting = SETTING_LOCKS[type];
+  if (!setting) throw new LockError(`Unknown lock type "${type}".`);
+  delete state[setting.stateKey][threadID];
+}
+
+// Puts the locked value of a setting back, e.g. after a tamper
+function restoreGroupSetting(api, state, threadID, type) {
+  return SETTING_LOCKS[type].apply(api, threadID, getLockedSetting(state, threadID, type));
+}
+
+// Runs a due schedule entry (see src/schedule.js)
+async function runScheduledChange(api, state, entry) {
+  const { threadID, type, action, value, participantIDs } = entry;
+  const lock = action === 'lock';
+  if (type === 'name') return lock ? lockGroupName(api, state, threadID, value) : unlockGroupName(state, threadID);
+  if (type === 'nickname') return lock ? lockGroupNickname(api, state, threadID, value) : unlockGroupNickname(state, threadID);
+  if (type === 'member-nickname') {
+    return lock ? lockMemberNicknames(api, state, threadID, participantIDs || [], value) : unlockMemberNicknames(state, threadID, participantIDs || []);
+  }
+  if (type === 'photo') return lock ? lockGroupPhoto(api, state, threadID) : unlockGroupPhoto(state, threadID);
+  if (SETTING_LOCKS[type]) return lock ? lockGroupSetting(api, state, threadID, type, value) : unlockGroupSetting(state, threadID, type);
+  throw new LockError(`Unknown lock type "${type}".`);
+}
+
+// The lock a change of `type` belongs to; member pins are part of the nickname lock
+function lockTypeOf(type) {
+  return type === 'member-nickname' ? 'nickname' : type;
+}
+
+function isLockPaused(state, threadID, type) {
+  return Boolean(state.threadPolicies[threadID]?.paused?.[lockTypeOf(type)]);
+}
+
+// Stops enforcing a lock without forgetting its value, e.g. after a revert loop
+function pauseLock(state, threadID, type, details = {}) {
+  getThreadPolicy(state, threadID).paused[lockTypeOf(type)] = { at: new Date().toISOString(), ...details };
+}
+
+function clearLockPause(state, threadID, type) {
+  const policy = state.threadPolicies[threadID];
+  if (policy && policy.paused) delete policy.paused[lockTypeOf(type)];
+}
+
+// Enforces a paused lock again and puts its value back, since the change that
+// caused the pause was left in place.
+async function resumeLock(api, state, threadID, type) {
+  if (!LOCK_TYPES.includes(type)) throw new LockError(`Unknown lock type "${type}".`);
+  if (!isLockPaused(state, threadID, type)) throw new LockError(`The ${type} lock is not paused.`);
+  clearLockPause(state, threadID, type);
+  const policy = getThreadPolicy(state, threadID);
+
+  if (type === 'name') {
+    if (policy.nameLock && state.lockedGroups[threadID]) await api.setTitle(state.lockedGroups[threadID], threadID);
+    else if (policy.nameAutoClear) await api.setTitle("", threadID);
+    return null;
+  }
+  if (type === 'photo') {
+    const photo = state.lockedGroupPhoto[threadID];
+    if (photo) await restoreGroupPhoto(api, threadID, photo);
+    return null;
+  }
+  if (SETTING_LOCKS[type]) {
+    if (getLockedSetting(state, threadID, type) !== null) await restoreGroupSetting(api, state, threadID, type);
+    return null;
+  }
+
+  const result = policy.nickLock || policy.nickAutoClear
+    ? await applyNicknameToGroup(api, state, threadID, policy.nickLock ? policy.groupNickname : "")
+    : { changed: [], failed: [] };
+  const pinsByNickname = {};
+  for (const [memberID, nickname] of Object.entries(state.lockedNicknames[threadID] || {})) {
+    (pinsByNickname[nickname] = pinsByNickname[nickname] || []).push(memberID);
+  }
+  for (const [nickname, memberIDs] of Object.entries(pinsByNickname)) {
+    const pinned = await changeNicknames(api, threadID, memberIDs, nickname);
+    result.changed.push(...pinned.changed);
+    result.failed.push(...pinned.failed);
+  }
+  return result;
+}
+
+// Everything /status and the REST API report about one thread's locks.
+function getLockStatus(state, threadID) {
+  const policy = { ...createDefaultPolicy(), ...state.threadPolicies[threadID] };
+  const photo = state.lockedGroupPhoto[threadID];
+  const paused = (type) => policy.paused[type] || null;
+  const setting = (type) => {
+    const value = getLockedSetting(state, threadID, type);
+    return { locked: value !== null, value, paused: paused(type) };
+  };
+  return {
+    threadID,
+    trustThreadAdmins: policy.trustThreadAdmins,
+    name: {
+      locked: policy.nameLock,
+      value: state.lockedGroups[threadID] || null,
+      autoClear: policy.nameAutoClear,
+      paused: paused('name')
+    },
+    nickname: {
+      locked: policy.nickLock,
+      value: policy.groupNickname,
+      autoClear: policy.nickAutoClear,
+      members: { ...(state.lockedNicknames[threadID] || {}) },
+      paused: paused('nickname')
+    },
+    photo: {
+      locked: Boolean(photo),
+      lockedAt: photo ? photo.lockedAt || null : null,
+      paused: paused('photo')
+    },
+    emoji: setting('emoji'),
+    color: setting('color'),
+    approval: setting('approval'),
+    schedules: listSchedules(state, threadID)
+  };
+}
+
+module.exports = {
+  LOCK_TYPES,
+  SETTING_LOCKS,
+  LockError,
+  getParticipantIDs,
+  isExemptFromGroupNickname,
+  changeNicknames,
+  applyNicknameToGroup,
+  lockGroupName,
+  unlockGroupName,
+  enableGroupNameAutoClear,
+  lockGroupNickname,
+  unlockNicknames,
+  unlockGroupNickname,
+  enableNicknameAutoClear,
+  disableNicknameAutoClear,
+  lockMemberNicknames,
+  unlockMemberNicknames,
+  adoptGroupName,
+  adoptMemberNickname,
+  setThreadAdminTrust,
+  lockGroupPhoto,
+  unlockGroupPhoto,
+  getLockedSetting,
+  lockGroupSetting,
+  unlockGroupSetting,
+  restoreGroupSetting,
+  runScheduledChange,
+  lockTypeOf,
+  isLockPaused,
+  pauseLock,
+  clearLockPause,
+  resumeLock,
+  getLockStatus
+};
@@ -0,0 +1,42 @@
+// Membership protection of a group: members the bot adds back when someone
+// else removes them, and the allow-list mode where only moderators may add
+// people. Both live in the group's policy.
+
+const { createDefaultPolicy, getThreadPolicy } = require('./state');
+
+function getMemberProtection(state, threadID) {
+  const policy = { ...createDefaultPolicy(), ...state.threadPolicies[threadID] };
+  return { protectedMembers: [...policy.protectedMembers], joinAllowList: policy.joinAllowList };
+}
+
+function isProtectedMember(state, threadID, userID) {
+  return (state.threadPolicies[threadID]?.protectedMembers || []).includes(String(userID));
+}
+
+// Returns the IDs that were not protected yet
+function protectMembers(state, threadID, userIDs) {
+  const policy = getThreadPolicy(state, threadID);
+  const added = userIDs.map(String).filter(id => !policy.protectedMembers.includes(id));
+  policy.protectedMembers.push(...new Set(added));
+  return [...new Set(added)];
+}
+
+// Returns the IDs that were protected
+function unprotectMembers(state, threadID, userIDs) {
+  const policy = getThreadPolicy(state, threadID);
+  const removed = userIDs.map(String).filter(id => policy.protectedMembers.includes(id));
+  policy.protectedMembers = policy.protectedMembers.filter(id => !removed.includes(id));
+  return removed;
+}
+
+function setJoinAllowList(state, threadID, enabled) {
+  getThreadPolicy(state, threadID).joinAllowList = Boolean(enabled);
+}
+
+module.exports = {
+  getMemberProtection,
+  isProtectedMember,
+  protectMembers,
+  unprotectMembers,
+  setJoinAllowList
+};
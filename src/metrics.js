@@ -0,0 +1,91 @@
+// A small Prometheus registry. Counters either count themselves (`inc`) or are
+// read from something that already keeps a total, like gauges, through a
+// `collect` function called at scrape time. `render` writes the text exposition
+// format (version 0.0.4) that Prometheus scrapes from /metrics.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function escapeHelp(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels = {}) {
+  const pairs = Object.entries(labels)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(Number(value)) ? 'NaN' : String(Number(value));
+}
+
+// `collect()` returns a number or a list of { labels, value }
+function toSamples(collected) {
+  if (typeof collected === 'number') return [{ labels: {}, value: collected }];
+  return collected || [];
+}
+
+function createMetrics({ prefix = 'sadhin_' } = {}) {
+  const families = new Map();
+
+  function define(type, name, help, collect) {
+    const fullName = prefix + name;
+    if (families.has(fullName)) throw new Error(`Metric ${fullName} is already registered.`);
+    const family = { type, name: fullName, help, collect, samples: new Map() };
+    families.set(fullName, family);
+    return family;
+  }
+
+  function counter(name, help, collect) {
+    const family = define('counter', name, help, collect);
+    return {
+      inc(labels = {}, value = 1) {
+        const key = formatLabels(labels);
+        const sample = family.samples.get(key) || { labels, value: 0 };
+        sample.value += value;
+        family.samples.set(key, sample);
+      }
+    };
+  }
+
+  function gauge(name, help, collect) {
+    define('gauge', name, help, collect);
+  }
+
+  function render() {
+    const lines = [];
+    for (const family of families.values()) {
+      let samples;
+      try {
+        samples = family.collect ? toSamples(family.collect()) : Array.from(family.samples.values());
+      } catch (e) {
+        // One broken collector should not take the whole scrape down
+        samples = [];
+      }
+      lines.push(`# HELP ${family.name} ${escapeHelp(family.help)}`);
+      lines.push(`# TYPE ${family.name} ${family.type}`);
+      for (const { labels, value } of samples) {
+        lines.push(`${family.name}${formatLabels(labels)} ${formatValue(value)}`);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return {
+    counter,
+    gauge,
+    render
+  };
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  createMetrics
+};
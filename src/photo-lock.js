@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const PHOTO_DIR = process.env.PHOTO_DIR || path.join(__dirname, '..', 'data', 'photos');
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp'
+};
+
+async function downloadImage(url) {
+  const res = await axios.get(url, { responseType: 'arraybuffer', timeout: 30000 });
+  return {
+    data: Buffer.from(res.data),
+    contentType: String(res.headers['content-type'] || '').split(';')[0].trim()
+  };
+}
+
+// Downloads the image and stores it under its content hash, so several
+// threads locked to the same picture share one file on disk.
+async function storeGroupPhoto(url, { dir = PHOTO_DIR, download = downloadImage } = {}) {
+  const { data, contentType } = await download(url);
+  if (!data || data.length === 0) {
+    throw new Error('Downloaded group image is empty.');
+  }
+  const hash = crypto.createHash('sha256').update(data).digest('hex');
+  const file = hash + (EXTENSIONS[contentType] || '.jpg');
+  const filePath = path.join(dir, file);
+  if (!fs.existsSync(filePath)) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(filePath, data);
+  }
+  return { url, hash, file, lockedAt: new Date().toISOString() };
+}
+
+// Hash of the image at `url`, comparable with a stored photo's `hash`
+async function hashImageAt(url, { download = downloadImage } = {}) {
+  const { data } = await download(url);
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Deletes a stored image once no lock in `lockedGroupPhoto` refers to it.
+function releaseGroupPhoto(lockedGroupPhoto, photo, { dir = PHOTO_DIR } = {}) {
+  if (!photo || !photo.file) return false;
+  const stillUsed = Object.values(lockedGroupPhoto).some(p => p && p.file === photo.file);
+  if (stillUsed) return false;
+  fs.rmSync(path.join(dir, photo.file), { force: true });
+  return true;
+}
+
+function restoreGroupPhoto(api, threadID, photo, { dir = PHOTO_DIR } = {}) {
+  const filePath = path.join(dir, photo.file);
+  if (!fs.existsSync(filePath)) {
+    return Promise.reject(new Error(`Stored group image ${photo.file} is missing.`));
+  }
+  return api.changeGroupImage(fs.createReadStream(filePath), threadID);
+}
+
+module.exports = {
+  PHOTO_DIR,
+  downloadImage,
+  storeGroupPhoto,
+  hashImageAt,
+  releaseGroupPhoto,
+  restoreGroupPhoto
+};
@@ -0,0 +1,75 @@
+// Compares what a group actually looks like with its stored locks. Events are
+// only seen while the MQTT listener is up, so anything changed while the bot was
+// disconnected is found here and put back by the bot's reconcile sweep.
+const { getLockedNickname } = require('./state');
+const { SETTING_LOCKS, getParticipantIDs, isExemptFromGroupNickname, isLockPaused, getLockedSetting } = require('./locks');
+const { hashImageAt } = require('./photo-lock');
+
+// Threads with at least one lock or auto-clear to enforce
+function lockedThreadIDs(state) {
+  const ids = new Set([
+    ...Object.keys(state.lockedGroups),
+    ...Object.keys(state.lockedNicknames),
+    ...Object.keys(state.lockedGroupPhoto),
+    ...Object.values(SETTING_LOCKS).flatMap(setting => Object.keys(state[setting.stateKey]))
+  ]);
+  for (const [threadID, policy] of Object.entries(state.threadPolicies)) {
+    if (policy.nameLock || policy.nameAutoClear || policy.nickLock || policy.nickAutoClear) ids.add(threadID);
+  }
+  return Array.from(ids);
+}
+
+// The locked nickname `participantID` should have, or null when nothing applies
+function expectedNickname(api, state, threadID, participantID) {
+  const pinned = state.lockedNicknames[threadID]?.[participantID];
+  if (pinned !== undefined) return pinned;
+  if (isExemptFromGroupNickname(api, state, threadID, participantID)) return null;
+  const policy = state.threadPolicies[threadID] || {};
+  if (policy.nickLock) return getLockedNickname(state, threadID, participantID);
+  return policy.nickAutoClear ? "" : null;
+}
+
+// Lists every way `threadInfo` differs from the thread's locks:
+// [{ type: 'name' | 'nickname' | 'photo' | 'emoji' | 'color' | 'approval', participantID?, expected, actual }].
+// Paused locks are skipped. Photos are compared by content hash.
+async function findDrift(api, state, threadID, threadInfo, { hashImage = hashImageAt } = {}) {
+  const drift = [];
+  const policy = state.threadPolicies[threadID] || {};
+
+  if (!isLockPaused(state, threadID, 'name')) {
+    const actual = threadInfo.threadName || threadInfo.name || "";
+    const expected = policy.nameLock && state.lockedGroups[threadID] ? state.lockedGroups[threadID] : policy.nameAutoClear ? "" : null;
+    if (expected !== null && actual !== expected) drift.push({ type: 'name', expected, actual });
+  }
+
+  if (!isLockPaused(state, threadID, 'nickname')) {
+    const nicknames = threadInfo.nicknames || {};
+    for (const participantID of getParticipantIDs(threadInfo)) {
+      const expected = expectedNickname(api, state, threadID, participantID);
+      const actual = nicknames[participantID] || "";
+      if (expected !== null && actual !== expected) drift.push({ type: 'nickname', participantID, expected, actual });
+    }
+  }
+
+  // Messenger may re-encode a restored photo, so the hash seen after the bot's
+  // own restore (liveHash) counts as locked too
+  const photo = state.lockedGroupPhoto[threadID];
+  if (photo && photo.hash && !isLockPaused(state, threadID, 'photo')) {
+    const actual = threadInfo.imageSrc ? await hashImage(threadInfo.imageSrc) : null;
+    if (actual !== photo.hash && actual !== photo.liveHash) drift.push({ type: 'photo', expected: photo.hash, actual });
+  }
+
+  for (const [type, setting] of Object.entries(SETTING_LOCKS)) {
+    const expected = getLockedSetting(state, threadID, type);
+    if (expected === null || isLockPaused(state, threadID, type)) continue;
+    const actual = setting.read(threadInfo);
+    if (actual !== expected) drift.push({ type, expected, actual });
+  }
+
+  return drift;
+}
+
+module.exports = {
+  lockedThreadIDs,
+  findDrift
+};
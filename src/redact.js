@@ -0,0 +1,29 @@
+// Facebook session cookie names that appear in appState and raw cookie strings
+const COOKIE_NAMES = ['c_user', 'xs', 'fr', 'datr', 'sb', 'spin', 'presence', 'wd', 'i_user', 'locale'];
+const COOKIE_PAIR = new RegExp(`\\b(${COOKIE_NAMES.join('|')})=([^;\\s"']+)`, 'g');
+const JSON_VALUE = /("value"\s*:\s*")([^"]+)(")/g;
+
+let knownSecrets = [];
+
+// Remember the live cookie values so they are masked wherever they show up
+function setKnownSecrets(appState) {
+  knownSecrets = (Array.isArray(appState) ? appState : [])
+    .map(cookie => cookie && String(cookie.value || ''))
+    .filter(value => value.length >= 6)
+    .sort((a, b) => b.length - a.length);
+}
+
+function redactSecrets(message) {
+  let text = String(message);
+  for (const secret of knownSecrets) {
+    text = text.split(secret).join('[REDACTED]');
+  }
+  return text
+    .replace(COOKIE_PAIR, '$1=[REDACTED]')
+    .replace(JSON_VALUE, '$1[REDACTED]$3');
+}
+
+module.exports = {
+  setKnownSecrets,
+  redactSecrets
+};
@@ -0,0 +1,100 @@
+// Notices when a lock keeps fighting someone (another bot, a group admin) who
+// changes the value straight back after every revert. Reverts are counted per
+// thread and lock type over a sliding window. Past `backoffAfter` they are
+// delayed, doubling each time; at `pauseAfter` the lock should be paused.
+
+const DEFAULT_GUARD_OPTIONS = {
+  windowMs: 2 * 60 * 1000,
+  backoffAfter: 3,
+  pauseAfter: 6,
+  backoffMs: 5000,
+  maxBackoffMs: 2 * 60 * 1000
+};
+
+function createRevertGuard({ now = Date.now, ...options } = {}) {
+  const config = { ...DEFAULT_GUARD_OPTIONS };
+  const history = new Map();
+
+  function configure(changes = {}) {
+    for (const key of Object.keys(DEFAULT_GUARD_OPTIONS)) {
+      if (Number.isFinite(changes[key]) && changes[key] >= 0) config[key] = changes[key];
+    }
+    return { ...config };
+  }
+
+  const keyOf = (threadID, type) => `${threadID}:${type}`;
+
+  // Counts a tamper attempt and says what to do about it:
+  // { action: 'revert' } now, { action: 'defer', delayMs } or { action: 'pause' }.
+  // `count` is the number of attempts inside the window, this one included.
+  function record(threadID, type) {
+    const key = keyOf(threadID, type);
+    const entry = history.get(key) || { times: [], timer: null };
+    history.set(key, entry);
+    const time = now();
+    entry.times = entry.times.filter(at => time - at < config.windowMs);
+    entry.times.push(time);
+    const count = entry.times.length;
+
+    if (count >= config.pauseAfter) {
+      reset(threadID, type);
+      return { action: 'pause', count };
+    }
+    if (count > config.backoffAfter) {
+      const delayMs = Math.min(config.backoffMs * 2 ** (count - config.backoffAfter - 1), config.maxBackoffMs);
+      return { action: 'defer', count, delayMs };
+    }
+    return { action: 'revert', count };
+  }
+
+  // Runs `revert` after `delayMs`, replacing any revert already waiting for this lock
+  function defer(threadID, type, delayMs, revert) {
+    const entry = history.get(keyOf(threadID, type));
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+      entry.timer = null;
+      revert();
+    }, delayMs);
+    entry.timer.unref?.();
+  }
+
+  // Forgets the lock's history and drops its waiting revert, e.g. after a
+  // moderator sets the lock again
+  function reset(threadID, type) {
+    const key = keyOf(threadID, type);
+    const entry = history.get(key);
+    if (entry) clearTimeout(entry.timer);
+    history.delete(key);
+  }
+
+  // Drops every waiting revert but keeps the counts, e.g. when the session they
+  // would run against goes offline
+  function stop() {
+    for (const entry of history.values()) {
+      clearTimeout(entry.timer);
+      entry.timer = null;
+    }
+  }
+
+  function clear() {
+    stop();
+    history.clear();
+  }
+
+  configure(options);
+
+  return {
+    configure,
+    record,
+    defer,
+    reset,
+    stop,
+    clear
+  };
+}
+
+module.exports = {
+  DEFAULT_GUARD_OPTIONS,
+  createRevertGuard
+};
@@ -0,0 +1,112 @@
+// Owners and admins are global; moderators are granted per group.
+const ROLE_RANK = {
+  owner: 3,
+  admin: 2,
+  moderator: 1
+};
+
+const CAPABILITIES = {
+  'locks.manage': 'moderator',
+  'locks.bypass': 'moderator',
+  'status.view': 'moderator',
+  'group.configure': 'moderator',
+  'members.manage': 'moderator',
+  'roles.manage': 'admin',
+  'bot.configure': 'admin',
+  'attack.manage': 'admin'
+};
+
+// Extra owners from the environment, so a fresh deployment is never locked out
+const ENV_OWNERS = (process.env.OWNER_IDS || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
+function createDefaultRoles() {
+  return {
+    owners: [],
+    admins: [],
+    moderators: {}
+  };
+}
+
+function getRole(state, userID, threadID) {
+  if (!userID) return null;
+  const id = String(userID);
+  const roles = state.roles;
+  if (ENV_OWNERS.includes(id) || roles.owners.includes(id)) return 'owner';
+  if (roles.admins.includes(id)) return 'admin';
+  if (threadID && (roles.moderators[threadID] || []).includes(id)) return 'moderator';
+  return null;
+}
+
+function hasRoleAtLeast(role, minimum) {
+  return Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[minimum];
+}
+
+function can(state, userID, capability, threadID) {
+  const minimum = CAPABILITIES[capability];
+  if (!minimum) throw new Error(`Unknown capability: ${capability}`);
+  return hasRoleAtLeast(getRole(state, userID, threadID), minimum);
+}
+
+// Only a strictly higher role may grant or revoke a role.
+function canManageRole(actorRole, targetRole) {
+  return Boolean(actorRole) && ROLE_RANK[actorRole] > ROLE_RANK[targetRole];
+}
+
+function grantRole(state, userID, role, threadID) {
+  const id = String(userID);
+  const roles = state.roles;
+  if (role === 'moderator') {
+    if (!threadID) throw new Error('Moderators must be granted in a group.');
+    const mods = roles.moderators[threadID] = roles.moderators[threadID] || [];
+    if (mods.includes(id)) return false;
+    mods.push(id);
+    return true;
+  }
+  const list = role === 'owner' ? roles.owners : role === 'admin' ? roles.admins : null;
+  if (!list) throw new Error(`Unknown role: ${role}`);
+  if (list.includes(id)) return false;
+  list.push(id);
+  return true;
+}
+
+function revokeRole(state, userID, role, threadID) {
+  const id = String(userID);
+  const roles = state.roles;
+  if (role === 'moderator') {
+    const mods = roles.moderators[threadID] || [];
+    if (!mods.includes(id)) return false;
+    roles.moderators[threadID] = mods.filter(m => m !== id);
+    if (roles.moderators[threadID].length === 0) delete roles.moderators[threadID];
+    return true;
+  }
+  const key = role === 'owner' ? 'owners' : role === 'admin' ? 'admins' : null;
+  if (!key) throw new Error(`Unknown role: ${role}`);
+  if (!roles[key].includes(id)) return false;
+  roles[key] = roles[key].filter(m => m !== id);
+  return true;
+}
+
+function listOwners(state) {
+  return Array.from(new Set([...ENV_OWNERS, ...state.roles.owners]));
+}
+
+function listModerators(state, threadID) {
+  return [...(state.roles.moderators[threadID] || [])];
+}
+
+module.exports = {
+  ROLE_RANK,
+  CAPABILITIES,
+  createDefaultRoles,
+  getRole,
+  hasRoleAtLeast,
+  can,
+  canManageRole,
+  grantRole,
+  revokeRole,
+  listOwners,
+  listModerators
+};
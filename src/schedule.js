@@ -0,0 +1,107 @@
+// Lock changes set to happen later: a lock that starts at a given time, and the
+// expiry of a lock set "for" a while. Entries live in state.schedules, so they
+// survive restarts; the bot runs the ones that are due (see runDueSchedules in
+// src/bot.js). An entry looks like
+//   { id, threadID, type, action: 'lock' | 'unlock', value, participantIDs, at, notify, createdBy }
+// where `type` is a lock type or 'member-nickname' and `at` is an ISO time.
+
+// Actor recorded in the audit log for changes made by a schedule
+const SCHEDULE_ACTOR = 'schedule';
+
+// The --for / --at / --in / --notify flags every lock command takes
+const TIMING_FLAGS = [
+  { name: 'for', type: 'duration', display: 'duration' },
+  { name: 'at', type: 'time', display: 'time' },
+  { name: 'in', type: 'duration', display: 'duration' },
+  { name: 'notify', type: 'boolean' }
+];
+
+// When a lock command's change should start and end, from its timing flags:
+// { startAt, expiresAt } as timestamps; startAt is null for "now" and
+// expiresAt null for "until turned off".
+function timingFromFlags(flags = {}, now = Date.now()) {
+  const startAt = flags.at || (flags.in ? now + flags.in : null);
+  const expiresAt = flags.for ? (startAt || now) + flags.for : null;
+  return { startAt, expiresAt, notify: Boolean(flags.notify) };
+}
+
+function addSchedule(state, entry) {
+  const id = state.schedules.reduce((max, existing) => Math.max(max, existing.id), 0) + 1;
+  const schedule = {
+    id,
+    threadID: entry.threadID,
+    type: entry.type,
+    action: entry.action,
+    value: entry.value ?? null,
+    participantIDs: entry.participantIDs || null,
+    at: new Date(entry.at).toISOString(),
+    notify: Boolean(entry.notify),
+    createdBy: entry.createdBy || null
+  };
+  state.schedules.push(schedule);
+  return schedule;
+}
+
+function listSchedules(state, threadID) {
+  return state.schedules
+    .filter(entry => !threadID || entry.threadID === threadID)
+    .sort((a, b) => a.at.localeCompare(b.at));
+}
+
+// Removes one entry of the thread; returns it, or null if there was none
+function cancelSchedule(state, threadID, id) {
+  const index = state.schedules.findIndex(entry => entry.threadID === threadID && entry.id === Number(id));
+  if (index === -1) return null;
+  return state.schedules.splice(index, 1)[0];
+}
+
+// Drops pending expiries of a lock that was just set or removed by hand, so an
+// old "for 2h" does not end the new lock. For member nicknames `participantIDs`
+// limits this to those members; the expiry goes on for the others.
+function cancelExpiries(state, threadID, type, participantIDs = null) {
+  let cancelled = 0;
+  state.schedules = state.schedules.filter(entry => {
+    if (entry.threadID !== threadID || entry.type !== type || entry.action !== 'unlock') return true;
+    if (participantIDs && entry.participantIDs) {
+      const remaining = entry.participantIDs.filter(id => !participantIDs.includes(id));
+      if (remaining.length === entry.participantIDs.length) return true;
+      entry.participantIDs = remaining;
+      if (remaining.length > 0) return true;
+    }
+    cancelled++;
+    return false;
+  });
+  return cancelled;
+}
+
+// Takes the due entries out of the list, earliest first
+function takeDueSchedules(state, now = Date.now()) {
+  const due = state.schedules.filter(entry => Date.parse(entry.at) <= now);
+  state.schedules = state.schedules.filter(entry => !due.includes(entry));
+  return due.sort((a, b) => a.at.localeCompare(b.at));
+}
+
+function nextScheduleAt(state) {
+  const times = state.schedules.map(entry => Date.parse(entry.at));
+  return times.length ? Math.min(...times) : null;
+}
+
+// "2026-12-31 18:30" in the server's time zone
+function formatScheduleTime(at) {
+  const date = new Date(at);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+module.exports = {
+  SCHEDULE_ACTOR,
+  TIMING_FLAGS,
+  timingFromFlags,
+  addSchedule,
+  listSchedules,
+  cancelSchedule,
+  cancelExpiries,
+  takeDueSchedules,
+  nextScheduleAt,
+  formatScheduleTime
+};
@@ -0,0 +1,48 @@
+// What runs each time the Messenger connection comes online (`onOnline` in
+// src/connection.js). Going offline clears the connection's timers and stops
+// the bot's reconcile loop, so both are registered again on every online
+// transition; greeting the groups only happens after a fresh login.
+
+const DEFAULT_SESSION_OPTIONS = {
+  // How often the session's appState is written back to the config
+  saveIntervalMs: 10 * 60 * 1000,
+  // Wait after a fresh login before nicknames, the startup message and reconcile
+  startupDelayMs: 5000
+};
+
+// `saveCookies()` persists the current appState; `getReconcileIntervalMs()`
+// reads the configured interval, so a config change applies on the next session.
+function createSessionStarter({ bot, saveCookies, getReconcileIntervalMs, ...options }) {
+  const config = { ...DEFAULT_SESSION_OPTIONS, ...options };
+
+  // `fresh` is false when only the listener was re-attached to the existing session
+  return function startSession(api, { later, every, fresh }) {
+    every(config.saveIntervalMs, saveCookies);
+
+    if (!fresh) {
+      bot.reconcile(api, 'reconnect');
+      bot.scheduleReconcile(api, getReconcileIntervalMs());
+      bot.startSchedules(api);
+      return;
+    }
+
+    // Pehle thread list update karein, phir baaki kaam
+    bot.updateJoinedGroups(api);
+
+    // Thoda sa delay ke baad baaki functions call karein
+    later(config.startupDelayMs, () => {
+      bot.setBotNicknamesInGroups(api);
+      bot.sendStartupMessage(api);
+      // Jo changes offline rehte hue hue, unhe wapas theek karo
+      bot.reconcile(api, 'login');
+      bot.scheduleReconcile(api, getReconcileIntervalMs());
+      // Locks set with --for or --at that came due while offline run now
+      bot.startSchedules(api);
+    });
+  };
+}
+
+module.exports = {
+  DEFAULT_SESSION_OPTIONS,
+  createSessionStarter
+};
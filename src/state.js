@@ -0,0 +1,204 @@
+const path = require('path');
+const { readJSON, writeJSONAtomic } = require('./storage');
+const { createDefaultRoles } = require('./roles');
+
+const STATE_VERSION = 13;
+const STATE_FILE = process.env.STATE_FILE || path.join(__dirname, '..', 'data', 'state.json');
+
+function createDefaultState() {
+  return {
+    version: STATE_VERSION,
+    lockedGroups: {},
+    lockedNicknames: {},
+    lockedGroupPhoto: {},
+    // Quick-reaction emoji, theme color and approval mode (see SETTING_LOCKS in src/locks.js)
+    lockedEmoji: {},
+    lockedColor: {},
+    lockedApprovalMode: {},
+    threadPolicies: {},
+    roles: createDefaultRoles(),
+    // Lock changes waiting for their time (see src/schedule.js)
+    schedules: [],
+    // Flood strikes per group and member (see src/flood.js)
+    strikes: {}
+  };
+}
+
+function createDefaultPolicy() {
+  return {
+    nameLock: false,
+    nameAutoClear: false,
+    nickLock: false,
+    nickAutoClear: false,
+    groupNickname: null,
+    // Lock types ('name', 'nickname', 'photo') paused after a revert loop,
+    // each with { at, actorID, attempts }
+    paused: {},
+    // Reply locale (see src/i18n.js); null uses the bot's default
+    locale: null,
+    // Let the group's own Messenger admins change locked values
+    trustThreadAdmins: false,
+    // Welcome and farewell settings (see src/greetings.js)
+    greetings: {
+      welcome: false,
+      farewell: false,
+      welcomeTemplate: null,
+      farewellTemplate: null,
+      rules: null,
+      autoNickname: false
+    },
+    // Members re-added when someone removes them (see src/members.js)
+    protectedMembers: [],
+    // Only moderators may add people; anyone else's additions are removed
+    joinAllowList: false,
+    // Flood limits per sender within `windowMs`, and what each strike does:
+    // the nth strike within `strikeWindowMs` runs actions[n - 1] (or the last)
+    flood: {
+      enabled: false,
+      windowMs: 10000,
+      maxMessages: 8,
+      maxRepeats: 3,
+      maxMentions: 10,
+      actions: ['warn', 'notify', 'remove'],
+      strikeWindowMs: 24 * 60 * 60 * 1000
+    }
+  };
+}
+
+// Returns the thread's policy, creating a default one the first time.
+function getThreadPolicy(state, threadID) {
+  if (!state.threadPolicies[threadID]) {
+    state.threadPolicies[threadID] = createDefaultPolicy();
+  }
+  return state.threadPolicies[threadID];
+}
+
+// A member's own pinned nickname wins over the group-wide nickname lock.
+function getLockedNickname(state, threadID, participantID) {
+  const pinned = state.lockedNicknames[threadID]?.[participantID];
+  if (pinned !== undefined) return pinned;
+  const policy = state.threadPolicies[threadID];
+  return policy && policy.nickLock ? policy.groupNickname : null;
+}
+
+// Fills in the policy fields a newer version added, keeping the saved values.
+function ensureThreadPolicyFields(data) {
+  return {
+    ...data,
+    threadPolicies: Object.fromEntries(
+      Object.entries(data.threadPolicies).map(([threadID, policy]) => [threadID, { ...createDefaultPolicy(), ...policy }])
+    )
+  };
+}
+
+// migrations[n] upgrades a state object saved at version n - 1 to version n.
+// Files written before versioning existed are treated as version 0.
+const migrations = {
+  1: (data) => ({
+    lockedGroups: {},
+    lockedNicknames: {},
+    lockedGroupPhoto: {},
+    nickLockEnabled: false,
+    nickRemoveEnabled: false,
+    gcAutoRemoveEnabled: false,
+    ...data
+  }),
+  // v2 replaces the process-wide enforcement flags with per-thread policies.
+  // A null lock value meant "cleared", so it only turns into auto-clear there.
+  2: (data) => {
+    const { nickLockEnabled, nickRemoveEnabled, gcAutoRemoveEnabled, ...rest } = data;
+    const threadPolicies = {};
+    const policyFor = (threadID) => (threadPolicies[threadID] = threadPolicies[threadID] || createDefaultPolicy());
+    for (const [threadID, name] of Object.entries(rest.lockedGroups)) {
+      if (name) policyFor(threadID).nameLock = true;
+      else if (gcAutoRemoveEnabled) policyFor(threadID).nameAutoClear = true;
+    }
+    for (const [threadID, nickname] of Object.entries(rest.lockedNicknames)) {
+      if (nickname) policyFor(threadID).nickLock = true;
+      else if (nickRemoveEnabled) policyFor(threadID).nickAutoClear = true;
+    }
+    const prune = (locks) => Object.fromEntries(Object.entries(locks).filter(([, value]) => value));
+    return {
+      ...rest,
+      lockedGroups: prune(rest.lockedGroups),
+      lockedNicknames: prune(rest.lockedNicknames),
+      threadPolicies
+    };
+  },
+  // v3 stores photo locks as downloaded files instead of bare image URLs.
+  // Old URLs are kept so the image can still be fetched on the next restore.
+  3: (data) => ({
+    ...data,
+    lockedGroupPhoto: Object.fromEntries(
+      Object.entries(data.lockedGroupPhoto)
+        .filter(([, value]) => value)
+        .map(([threadID, value]) => [threadID, typeof value === 'string' ? { url: value, hash: null, file: null } : value])
+    )
+  }),
+  // v4 turns lockedNicknames into per-member maps; the old one-nickname-for-all
+  // lock becomes the policy's groupNickname.
+  4: (data) => {
+    const threadPolicies = {};
+    for (const [threadID, policy] of Object.entries(data.threadPolicies)) {
+      threadPolicies[threadID] = { ...createDefaultPolicy(), ...policy };
+    }
+    for (const [threadID, nickname] of Object.entries(data.lockedNicknames)) {
+      if (typeof nickname === 'string') {
+        threadPolicies[threadID] = { ...createDefaultPolicy(), ...threadPolicies[threadID], groupNickname: nickname };
+      }
+    }
+    return { ...data, lockedNicknames: {}, threadPolicies };
+  },
+  // v5 adds persisted owner/admin/moderator roles.
+  5: (data) => ({ ...data, roles: createDefaultRoles() }),
+  // v6 adds paused locks to every policy.
+  6: ensureThreadPolicyFields,
+  // v7 adds a reply locale to every policy.
+  7: ensureThreadPolicyFields,
+  // v8 adds welcome and farewell settings to every policy.
+  8: ensureThreadPolicyFields,
+  // v9 adds the thread-admin trust switch to every policy.
+  9: ensureThreadPolicyFields,
+  // v10 adds scheduled lock changes and expiries.
+  10: (data) => ({ schedules: [], ...data }),
+  // v11 adds the emoji, theme color and approval mode locks.
+  11: (data) => ({ lockedEmoji: {}, lockedColor: {}, lockedApprovalMode: {}, ...data }),
+  // v12 adds protected members and the join allow-list to every policy.
+  12: ensureThreadPolicyFields,
+  // v13 adds flood settings to every policy and the strike history.
+  13: (data) => ensureThreadPolicyFields({ strikes: {}, ...data })
+};
+
+function migrateState(data) {
+  let migrated = data && typeof data === 'object' ? data : {};
+  let version = Number(migrated.version) || 0;
+  if (version > STATE_VERSION) {
+    throw new Error(`State file version ${version} is newer than supported version ${STATE_VERSION}.`);
+  }
+  while (version < STATE_VERSION) {
+    version++;
+    migrated = migrations[version](migrated);
+    migrated.version = version;
+  }
+  return migrated;
+}
+
+function loadState(filePath = STATE_FILE) {
+  return migrateState(readJSON(filePath, createDefaultState()));
+}
+
+function saveState(state, filePath = STATE_FILE) {
+  writeJSONAtomic(filePath, { ...state, version: STATE_VERSION });
+}
+
+module.exports = {
+  STATE_VERSION,
+  STATE_FILE,
+  createDefaultState,
+  createDefaultPolicy,
+  getThreadPolicy,
+  getLockedNickname,
+  migrateState,
+  loadState,
+  saveState
+};
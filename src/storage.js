@@ -0,0 +1,37 @@
+const fs = require('fs');
+const path = require('path');
+
+// Write to a temp file next to the target and rename it over the original,
+// so a crash mid-write never leaves a truncated JSON file behind.
+function writeFileAtomic(filePath, contents) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeFileSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  try {
+    fs.renameSync(tmpPath, filePath);
+  } catch (e) {
+    fs.rmSync(tmpPath, { force: true });
+    throw e;
+  }
+}
+
+function writeJSONAtomic(filePath, data) {
+  writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+}
+
+function readJSON(filePath, fallback = null) {
+  if (!fs.existsSync(filePath)) return fallback;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+module.exports = {
+  writeFileAtomic,
+  writeJSONAtomic,
+  readJSON
+};
@@ -0,0 +1,172 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createHarness, MOD_ID, MEMBER_ID, OTHER_ID } = require('./support/harness');
+const { createActionQueue, createQueuedApi, isTransientError } = require('../src/action-queue');
+const { queryAudit } = require('../src/audit');
+
+const UNPACED = { globalIntervalMs: 0, threadIntervalMs: 0, backoffMs: 0 };
+
+// A call that stays in flight until release() is called
+function blocker() {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  return { run: () => done, release };
+}
+
+test('reverts run ahead of actions, and actions ahead of replies', async () => {
+  const queue = createActionQueue(UNPACED);
+  const order = [];
+  const first = blocker();
+  const pending = [queue.enqueue('t1', 'first', first.run)];
+  pending.push(queue.enqueue('t1', 'reply', () => order.push('reply'), { priority: 'reply' }));
+  pending.push(queue.enqueue('t1', 'action', () => order.push('action')));
+  pending.push(queue.enqueue('t1', 'revert', () => order.push('revert'), { priority: 'revert' }));
+  pending.push(queue.enqueue('t1', 'reply 2', () => order.push('reply 2'), { priority: 'reply' }));
+  first.release();
+  await Promise.all(pending);
+
+  assert.deepStrictEqual(order, ['revert', 'action', 'reply', 'reply 2']);
+});
+
+test('calls in one thread are spaced out while other threads go ahead', async () => {
+  const queue = createActionQueue({ ...UNPACED, threadIntervalMs: 40 });
+  const started = {};
+  const record = (label) => () => { started[label] = Date.now(); };
+  await Promise.all([
+    queue.enqueue('t1', 'a1', record('a1')),
+    queue.enqueue('t1', 'a2', record('a2')),
+    queue.enqueue('t2', 'b1', record('b1'))
+  ]);
+
+  assert.ok(started.a2 - started.a1 >= 35, `a2 started ${started.a2 - started.a1}ms after a1`);
+  assert.ok(started.b1 < started.a2);
+});
+
+test('transient failures are retried with backoff, other failures are not', async () => {
+  const logs = [];
+  const queue = createActionQueue({ ...UNPACED, backoffMs: 5, emitLog: message => logs.push(message) });
+  let calls = 0;
+  const value = await queue.enqueue('t1', 'setTitle', async () => {
+    if (++calls < 3) throw new Error('Rate limit exceeded');
+    return 'ok';
+  });
+  assert.strictEqual(value, 'ok');
+  assert.strictEqual(calls, 3);
+  assert.strictEqual(logs.length, 2);
+  assert.match(logs[0], /setTitle in t1 failed \(Rate limit exceeded\), retry 1\/2 in 5ms/);
+
+  let permanentCalls = 0;
+  await assert.rejects(queue.enqueue('t1', 'setTitle', async () => {
+    permanentCalls++;
+    throw new Error('not an admin');
+  }), /not an admin/);
+  assert.strictEqual(permanentCalls, 1);
+});
+
+test('a call that keeps failing rejects after maxAttempts without blocking the thread', async () => {
+  const queue = createActionQueue({ ...UNPACED, maxAttempts: 2 });
+  let calls = 0;
+  const failing = queue.enqueue('t1', 'changeNickname', async () => {
+    calls++;
+    throw new Error('ETIMEDOUT');
+  });
+  const next = queue.enqueue('t1', 'sendMessage', async () => 'sent');
+
+  await assert.rejects(failing, /ETIMEDOUT/);
+  assert.strictEqual(calls, 2);
+  assert.strictEqual(await next, 'sent');
+});
+
+test('a repeatable call that never settles times out and is retried without holding up the queue', async () => {
+  const logs = [];
+  const queue = createActionQueue({ ...UNPACED, callTimeoutMs: 10, emitLog: message => logs.push(message) });
+  let calls = 0;
+  const hung = queue.enqueue('t1', 'setTitle', () => {
+    calls++;
+    return new Promise(() => {});
+  }, { repeatable: true });
+  const other = queue.enqueue('t2', 'setTitle', () => 'set');
+
+  await assert.rejects(hung, /setTitle timed out after 10ms/);
+  assert.strictEqual(await other, 'set');
+  assert.strictEqual(calls, 3);
+  assert.match(logs[0], /setTitle in t1 failed \(setTitle timed out after 10ms\), retry 1\/2/);
+  assert.deepStrictEqual(queue.stats().setTitle, { calls: 2, failures: 1, retries: 2 });
+});
+
+test('a timed-out message is rejected, not sent again', async () => {
+  const queue = createActionQueue({ ...UNPACED, callTimeoutMs: 10 });
+  let sends = 0;
+  const api = {
+    sendMessage: () => {
+      sends++;
+      return new Promise(() => {});
+    }
+  };
+  await assert.rejects(createQueuedApi(api, queue).sendMessage('hi', 't1'), /sendMessage timed out after 10ms/);
+  assert.strictEqual(sends, 1);
+  assert.deepStrictEqual(queue.stats().sendMessage, { calls: 1, failures: 1, retries: 0 });
+});
+
+test('isTransientError reads messages, fca error objects and explicit flags', () => {
+  assert.strictEqual(isTransientError(new Error('socket hang up')), true);
+  assert.strictEqual(isTransientError({ error: 'Please try again later' }), true);
+  assert.strictEqual(isTransientError(Object.assign(new Error('odd'), { transient: true })), true);
+  assert.strictEqual(isTransientError(new Error('not an admin')), false);
+});
+
+test('clear rejects everything still queued', async () => {
+  const queue = createActionQueue(UNPACED);
+  const first = blocker();
+  const running = queue.enqueue('t1', 'first', first.run);
+  const waiting = queue.enqueue('t1', 'second', () => 'never');
+  queue.clear('shutting down');
+  first.release();
+
+  await running;
+  await assert.rejects(waiting, /shutting down/);
+  assert.strictEqual(queue.size(), 0);
+});
+
+test('a queued API wraps the raw API only once', async () => {
+  const queue = createActionQueue(UNPACED);
+  const sent = [];
+  const raw = { sendMessage: async (body, threadID) => sent.push([body, threadID]), getCurrentUserID: () => '1000' };
+  const twice = createQueuedApi(createQueuedApi(raw, queue), queue, 'revert');
+
+  await twice.sendMessage('hi', 't1');
+  assert.deepStrictEqual(sent, [['hi', 't1']]);
+  assert.strictEqual(twice.getCurrentUserID(), '1000');
+});
+
+test('one failed nickname change does not stop the others and is reported', async () => {
+  const { api, threadID, command, lastMessage } = createHarness();
+  api.failNext('changeNickname', 'member left');
+  await command(MOD_ID, '/nickname on Soldier');
+
+  const { nicknames } = api.thread(threadID);
+  const renamed = [MEMBER_ID, OTHER_ID].filter(id => nicknames[id] === 'Soldier');
+  assert.strictEqual(renamed.length, 1);
+  assert.match(lastMessage(), /⚠️ 1 member ka nickname nahi badal paya/);
+});
+
+test('a rate-limited lock is retried instead of failing', async () => {
+  const { api, threadID, command, logs } = createHarness();
+  api.failNext('setTitle', 'rate limited');
+  await command(MOD_ID, '/group on Fort Knox');
+
+  assert.strictEqual(api.thread(threadID).threadName, 'Fort Knox');
+  assert.strictEqual(queryAudit({ threadID })[0].error, null);
+  assert.ok(logs.some(log => log.message.includes('retry 1/2')));
+});
+
+test('the startup message is sent to every group before sendStartupMessage returns', async () => {
+  const { api, bot, threadID, logs } = createHarness();
+  api.addThread({ threadID: 'second-group', name: 'Second', participantIDs: [MEMBER_ID] });
+  api.failNext('sendMessage', 'blocked');
+  await bot.sendStartupMessage(api);
+
+  const delivered = [threadID, 'second-group'].filter(id => api.messagesIn(id).length === 1);
+  assert.strictEqual(delivered.length, 1);
+  assert.ok(logs.some(log => log.message === '✅ Startup message sent to 1/2 groups.'));
+});
@@ -0,0 +1,146 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createHarness, OWNER_ID, MOD_ID, MEMBER_ID, OTHER_ID } = require('./support/harness');
+const { UsageError, tokenize, parseArgs, parseDuration, parseTime, describeEntry, validateUsage } = require('../src/args');
+const { queryAudit } = require('../src/audit');
+
+test('tokenize splits on whitespace and keeps offsets', () => {
+  const tokens = tokenize('  on   Fort Knox ');
+  assert.deepStrictEqual(tokens.map(t => [t.value, t.start, t.end]), [['on', 2, 4], ['Fort', 7, 11], ['Knox', 12, 16]]);
+});
+
+test('tokenize reads quoted strings, escapes and curly quotes', () => {
+  const tokens = tokenize(`"Fort  Knox" 'it\\'s' “smart quotes”`);
+  assert.deepStrictEqual(tokens.map(t => [t.kind, t.value]), [['quoted', 'Fort  Knox'], ['quoted', "it's"], ['quoted', 'smart quotes']]);
+});
+
+test('apostrophes inside words and unclosed quotes stay literal', () => {
+  assert.deepStrictEqual(tokenize(`Raju's "group`).map(t => t.value), ["Raju's", '"group']);
+});
+
+test('mention tags with spaces become one user token', () => {
+  const tokens = tokenize('@Big Boss  hello', { 42: '@Big Boss' });
+  assert.deepStrictEqual(tokens.map(t => [t.kind, t.value, t.id]), [['mention', '@Big Boss', '42'], ['word', 'hello', undefined]]);
+});
+
+test('text params keep the input exactly as typed, or the inside of one quoted string', () => {
+  const usage = [{ sub: 'on', params: [{ name: 'name', type: 'text' }] }];
+  assert.strictEqual(parseArgs(usage, 'on  Fort   Knox  ').params.name, 'Fort   Knox');
+  assert.strictEqual(parseArgs(usage, 'on "  Fort Knox  "').params.name, '  Fort Knox  ');
+  assert.strictEqual(parseArgs(usage, 'on "Fort" Knox').params.name, '"Fort" Knox');
+});
+
+test('users params collect mentions and bare IDs before the text', () => {
+  const usage = [{ sub: 'set', params: [{ name: 'members', type: 'users' }, { name: 'nickname', type: 'text' }] }];
+  const { sub, params } = parseArgs(usage, 'set @Ann Lee 100012345 Captain  Cool', { 7: '@Ann Lee' });
+  assert.strictEqual(sub, 'set');
+  assert.deepStrictEqual(params, { members: ['7', '100012345'], nickname: 'Captain  Cool' });
+});
+
+test('integer params are range checked and optional params get defaults', () => {
+  const usage = [{ params: [{ name: 'count', type: 'integer', min: 1, max: 50, optional: true, default: 10 }] }];
+  assert.strictEqual(parseArgs(usage, '').params.count, 10);
+  assert.strictEqual(parseArgs(usage, '25').params.count, 25);
+  assert.throws(() => parseArgs(usage, 'ten'), { name: 'UsageError', message: '"count" ek number hona chahiye.' });
+  assert.throws(() => parseArgs(usage, '99'), { message: '"count" 1 se 50 ke beech hona chahiye.' });
+  assert.throws(() => parseArgs(usage, '2.5'), UsageError);
+});
+
+test('flags take a value, an inline value or nothing for booleans', () => {
+  const usage = [{
+    params: [{ name: 'name', type: 'text', optional: true }],
+    flags: [{ name: 'type', type: 'choice', choices: ['name', 'photo'] }, { name: 'silent', type: 'boolean' }]
+  }];
+  assert.deepStrictEqual(parseArgs(usage, 'Fort Knox --type photo').flags, { type: 'photo', silent: false });
+  assert.deepStrictEqual(parseArgs(usage, '--silent --type=name').flags, { type: 'name', silent: true });
+  assert.strictEqual(parseArgs(usage, 'Fort--Knox --type name').params.name, 'Fort--Knox');
+  assert.throws(() => parseArgs(usage, '--type'), { message: '--type ke baad value do.' });
+  assert.throws(() => parseArgs(usage, '--type video'), { message: '"--type" in mein se ek hona chahiye: name, photo.' });
+});
+
+test('extra arguments, unknown flags and unknown subcommands are usage errors', () => {
+  const usage = [{ sub: 'on' }, { sub: 'off' }];
+  assert.throws(() => parseArgs(usage, 'off now'), { message: 'Faltu argument: "now".' });
+  assert.throws(() => parseArgs(usage, 'on --force'), { message: 'Unknown option --force.' });
+  assert.throws(() => parseArgs(usage, 'maybe'), error => error.message === '"maybe" is command ka option nahi hai.' && error.entries.length === 2);
+  assert.throws(() => parseArgs(usage, ''), { message: 'Option missing hai.' });
+});
+
+test('entries sharing a subcommand are tried in order', () => {
+  const usage = [
+    { sub: 'clear', params: [{ name: 'members', type: 'users' }] },
+    { sub: 'clear', params: [{ name: 'members', type: 'choice', choices: ['all'] }] }
+  ];
+  assert.deepStrictEqual(parseArgs(usage, 'clear @A', { 5: '@A' }).params.members, ['5']);
+  assert.strictEqual(parseArgs(usage, 'clear ALL').params.members, 'all');
+  assert.throws(() => parseArgs(usage, 'clear'), error => error.entries.length === 2);
+});
+
+test('describeEntry renders the usage line for help', () => {
+  assert.strictEqual(describeEntry({
+    sub: 'on',
+    params: [{ name: 'file_number', type: 'integer' }, { name: 'who', type: 'user', optional: true }, { name: 'name', type: 'text' }],
+    flags: [{ name: 'for' }, { name: 'silent', type: 'boolean' }]
+  }), 'on <file_number> [@user] <name> [--for <for>] [--silent]');
+});
+
+test('durations add up their units and times resolve to the next future moment', () => {
+  assert.strictEqual(parseDuration('1h30m'), 90 * 60 * 1000);
+  assert.strictEqual(parseDuration('2D'), 2 * 24 * 60 * 60 * 1000);
+  assert.strictEqual(parseDuration('0m'), null);
+  assert.strictEqual(parseDuration('soon'), null);
+
+  const now = new Date(2026, 9, 19, 20, 0).getTime();
+  assert.strictEqual(parseTime('21:15', now), new Date(2026, 9, 19, 21, 15).getTime());
+  assert.strictEqual(parseTime('08:00', now), new Date(2026, 9, 20, 8, 0).getTime());
+  assert.strictEqual(parseTime('2026-12-31 18:30', now), new Date(2026, 11, 31, 18, 30).getTime());
+  assert.strictEqual(parseTime('25:00', now), null);
+
+  const usage = [{ sub: 'on', params: [{ name: 'name', type: 'text' }], flags: [{ name: 'for', type: 'duration' }, { name: 'at', type: 'time' }] }];
+  assert.strictEqual(parseArgs(usage, 'on Fort Knox --for 2h').flags.for, 2 * 60 * 60 * 1000);
+  assert.throws(() => parseArgs(usage, 'on Fort Knox --for later'), (e) => e instanceof UsageError && e.code === 'needsDuration');
+  assert.throws(() => parseArgs(usage, 'on Fort Knox --at 2001-01-01T10:00'), (e) => e instanceof UsageError && e.code === 'needsTime');
+  assert.strictEqual(parseArgs(usage, 'on Fort Knox --at 2099-12-31 18:30').flags.at, new Date(2099, 11, 31, 18, 30).getTime());
+  assert.strictEqual(parseArgs(usage, 'on Fort Knox --at 2099-12-31 --for 2h').flags.at, new Date(2099, 11, 31, 0, 0).getTime());
+});
+
+test('badly declared usage is rejected at registration', () => {
+  assert.throws(() => validateUsage('x', [{ params: [{ name: 'a', type: 'float' }] }]), /unknown type "float"/);
+  assert.throws(() => validateUsage('x', [{ params: [{ name: 'a', type: 'text' }, { name: 'b' }] }]), /must come last/);
+  assert.throws(() => validateUsage('x', [{ params: [{ name: 'a', type: 'choice' }] }]), /needs a choices list/);
+});
+
+test('a quoted group name is locked without the quotes', async () => {
+  const { state, threadID, command } = createHarness();
+  await command(MOD_ID, '/group on "  Fort Knox  "');
+  assert.strictEqual(state.lockedGroups[threadID], '  Fort Knox  ');
+});
+
+test('a bad argument gets the matching usage lines and does not run the command', async () => {
+  const { api, command, lastMessage } = createHarness();
+  await command(MOD_ID, '/group maybe');
+  assert.match(lastMessage(), /❌ "maybe" is command ka option nahi hai\.\nSahi format use karo: \/group on <group_name> \[--for <duration>\] \[--at <time>\] \[--in <duration>\] \[--notify\] \| \/group off/);
+
+  await command(OWNER_ID, '/role add boss @Member', { [MEMBER_ID]: '@Member' });
+  assert.match(lastMessage(), /"role" in mein se ek hona chahiye: admin, mod, moderator\.\nSahi format use karo: \/role add admin\|mod @user$/);
+  assert.strictEqual(api.callsTo('setTitle').length, 0);
+});
+
+test('/audit filters by type with a flag', async () => {
+  const { threadID, command, lastMessage } = createHarness();
+  await command(MOD_ID, '/group on Fort Knox');
+  await command(MOD_ID, '/membernick set @Other Captain', { [OTHER_ID]: '@Other' });
+  assert.strictEqual(queryAudit({ threadID }).length, 2);
+
+  await command(MOD_ID, '/audit 5 --type member-nickname');
+  assert.match(lastMessage(), /AUDIT \(last 1\)/);
+  assert.match(lastMessage(), /lock member-nickname/);
+  // Every lock type, and member protection, can be filtered
+  await command(MOD_ID, '/emojilock on 🔥');
+  await command(MOD_ID, '/protect add @Other', { [OTHER_ID]: '@Other' });
+  await command(MOD_ID, '/audit --type emoji');
+  assert.match(lastMessage(), /AUDIT \(last 1\)/);
+  assert.match(lastMessage(), /lock emoji/);
+  await command(MOD_ID, '/audit --type member');
+  assert.match(lastMessage(), /protect member/);
+});
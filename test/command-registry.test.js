@@ -0,0 +1,130 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createHarness, OWNER_ID, MOD_ID, MEMBER_ID } = require('./support/harness');
+const { createCommandRegistry, loadCommands, formatHelp } = require('../src/command-registry');
+
+test('/help lists every registered command', async () => {
+  const { command, lastMessage } = createHarness();
+  await command(MEMBER_ID, '/help');
+
+  const help = lastMessage();
+  for (const registered of loadCommands()) {
+    assert.ok(help.includes(`/${registered.name}`), `/help is missing /${registered.name}`);
+  }
+});
+
+test('/help marks commands that need a role', () => {
+  const help = formatHelp(loadCommands(), '/');
+  assert.match(help, /\/gclock <group_name> \[--for <duration>\] .* ➡️ .* \[MOD\]/);
+  assert.match(help, /\/botnick <nickname> ➡️ .* \[ADMIN\]/);
+  assert.match(help, /\/tid ➡️ 𝐆𝐑𝐎𝐔𝐏 𝐈𝐃 𝐏𝐀𝐓𝐀 𝐊𝐀𝐑𝐄𝐈𝐍\.\n/);
+});
+
+test('/help <command> shows usage, aliases and the required role', async () => {
+  const { command, lastMessage } = createHarness();
+  await command(MEMBER_ID, '/help status');
+
+  const help = lastMessage();
+  assert.match(help, /📖 \/status/);
+  assert.match(help, /Aliases: \/locks/);
+  assert.match(help, /Required role: moderator/);
+});
+
+test('/help <command> suggests a command for typos', async () => {
+  const { command, lastMessage } = createHarness();
+  await command(MEMBER_ID, '/help nicklok');
+  assert.match(lastMessage(), /"nicklok" naam ka koi command nahi hai\. Kya aapka matlab \/nicklock tha\?/);
+});
+
+test('aliases run the same command', async () => {
+  const { command, lastMessage } = createHarness();
+  await command(MOD_ID, '/locks');
+  assert.match(lastMessage(), /BOT STATUS:/);
+});
+
+test('an unknown command close to a real one gets a "did you mean"', async () => {
+  const { api, state, threadID, command, lastMessage } = createHarness();
+  await command(MOD_ID, '/grup on Fort Knox');
+
+  assert.match(lastMessage(), /"grup" naam ka koi command nahi hai\. Kya aapka matlab \/group tha\?/);
+  assert.strictEqual(state.lockedGroups[threadID], undefined);
+  assert.strictEqual(api.callsTo('setTitle').length, 0);
+});
+
+test('an unknown command with no close match points members and admins to /help', async () => {
+  const { command, lastMessage } = createHarness();
+  await command(MEMBER_ID, '/xyzzyplugh');
+  assert.match(lastMessage(), /"xyzzyplugh" naam ka koi command nahi hai\. Saare commands ke liye \/help bhejo/);
+
+  await command(OWNER_ID, '/xyzzyplugh');
+  assert.match(lastMessage(), /Mera prefix \/ hai/);
+});
+
+test('/tid and /uid report IDs', async () => {
+  const { threadID, command, lastMessage } = createHarness();
+  await command(MEMBER_ID, '/tid');
+  assert.match(lastMessage(), new RegExp(`Group ID: ${threadID}`));
+
+  await command(MEMBER_ID, '/uid');
+  assert.match(lastMessage(), new RegExp(`Your ID: ${MEMBER_ID}`));
+
+  await command(MEMBER_ID, '/uid @Moderator', { [MOD_ID]: '@Moderator' });
+  assert.match(lastMessage(), new RegExp(`User ID: ${MOD_ID}`));
+});
+
+test('a separately defined command module is dispatched, gated and listed in help', async () => {
+  const calls = [];
+  const warn = {
+    name: 'warn',
+    aliases: ['w'],
+    category: 'security',
+    capability: 'locks.manage',
+    description: 'Warns a member.',
+    usage: [{ params: [{ name: 'member', type: 'user' }], description: 'Warn a member.' }],
+    async run({ params, reply }) {
+      calls.push(params.member);
+      await reply('⚠️ Warned.');
+    }
+  };
+  const { command, lastMessage } = createHarness({ commands: [...loadCommands(), warn] });
+
+  await command(MEMBER_ID, '/warn @Moderator', { [MOD_ID]: '@Moderator' });
+  assert.match(lastMessage(), /Permission denied/);
+  await command(MOD_ID, '/w @Member', { [MEMBER_ID]: '@Member' });
+  assert.match(lastMessage(), /⚠️ Warned\./);
+  assert.deepStrictEqual(calls, [MEMBER_ID]);
+
+  await command(MEMBER_ID, '/help');
+  assert.match(lastMessage(), /\/warn @user ➡️ Warn a member\. \[MOD\]/);
+});
+
+test('a crashing command is logged and answered with its error reply', async () => {
+  const broken = {
+    name: 'broken',
+    errorReply: 'Kuch toh gadbad hai.',
+    async run() {
+      throw new Error('boom');
+    }
+  };
+  const { command, lastMessage, logs } = createHarness({ commands: [broken] });
+  await command(MEMBER_ID, '/broken');
+
+  assert.strictEqual(lastMessage(), 'Kuch toh gadbad hai.');
+  assert.ok(logs.some(log => log.isError && log.message.includes('Error in broken command: boom')));
+});
+
+test('the registry rejects duplicate names and unknown capabilities', () => {
+  const run = async () => {};
+  const registry = createCommandRegistry([{ name: 'group', aliases: ['g'], run }]);
+  assert.throws(() => registry.register({ name: 'g', run }), /"g" is already registered by "group"/);
+  assert.throws(() => registry.register({ name: 'other', capability: 'locks.destroy', run }), /unknown capability/);
+  assert.throws(() => registry.register({ name: 'norun' }), /has no run function/);
+  assert.strictEqual(registry.get('G').name, 'group');
+});
+
+test('suggestions only come from close matches', () => {
+  const registry = createCommandRegistry(loadCommands());
+  assert.strictEqual(registry.suggest('stauts').name, 'status');
+  assert.strictEqual(registry.suggest('membrnick').name, 'membernick');
+  assert.strictEqual(registry.suggest('completelydifferent'), null);
+});
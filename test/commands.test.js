@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createHarness, readFixture, BOT_ID, OWNER_ID, MOD_ID, MEMBER_ID, OTHER_ID } = require('./support/harness');
+const { loadState } = require('../src/state');
+const { queryAudit } = require('../src/audit');
+const { loadConfig } = require('../src/config');
+
+test('/group on locks the name, renames the group and persists the lock', async () => {
+  const { api, state, threadID, command, lastMessage } = createHarness();
+  await command(MOD_ID, '/group on Fort Knox');
+
+  assert.strictEqual(api.thread(threadID).threadName, 'Fort Knox');
+  assert.strictEqual(state.lockedGroups[threadID], 'Fort Knox');
+  assert.strictEqual(state.threadPolicies[threadID].nameLock, true);
+  assert.strictEqual(loadState().lockedGroups[threadID], 'Fort Knox');
+  assert.match(lastMessage(), /Group ka naam "Fort Knox" pe lock ho gaya hai/);
+
+  const [entry] = queryAudit({ threadID });
+  assert.strictEqual(entry.actorID, MOD_ID);
+  assert.strictEqual(entry.action, 'lock');
+  assert.strictEqual(entry.newValue, 'Fort Knox');
+});
+
+test('/group on without a name asks for the right format', async () => {
+  const { api, state, threadID, command, lastMessage } = createHarness();
+  await command(MOD_ID, '/group on');
+
+  assert.strictEqual(state.lockedGroups[threadID], undefined);
+  assert.strictEqual(api.callsTo('setTitle').length, 0);
+  assert.match(lastMessage(), /Sahi format use karo: \/group on <group_name>/);
+});
+
+test('/group off drops the name lock', async () => {
+  const { state, threadID, command, lastMessage } = createHarness();
+  await command(MOD_ID, '/group on Fort Knox');
+  await command(MOD_ID, '/group off');
+
+  assert.strictEqual(state.lockedGroups[threadID], undefined);
+  assert.strictEqual(state.threadPolicies[threadID].nameLock, false);
+  assert.match(lastMessage(), /Group name unlock ho gaya hai/);
+  assert.strictEqual(queryAudit({ threadID })[0].action, 'unlock');
+});
+
+test('lock commands are denied to plain members', async () => {
+  const { api, state, threadID, command, lastMessage } = createHarness();
+  for (const body of ['/group on Mine', '/nickname on Mine', '/photolock on', '/gclock Mine', '/gcremove', '/nicklock Mine', '/nickremoveall', '/nickremoveoff', '/status']) {
+    await command(MEMBER_ID, body);
+    assert.match(lastMessage(), /Permission denied/, body);
+  }
+  assert.deepStrictEqual(state.lockedGroups, {});
+  assert.strictEqual(state.threadPolicies[threadID], undefined);
+  assert.strictEqual(api.callsTo('setTitle').length, 0);
+  assert.strictEqual(api.callsTo('changeNickname').length, 0);
+});
+
+test('/nickname on applies the nickname to every plain member', async () => {
+  const { api, state, threadID, command } = createHarness();
+  await command(MOD_ID, '/nickname on Soldier');
+
+  const { nicknames } = api.thread(threadID);
+  assert.strictEqual(state.threadPolicies[threadID].groupNickname, 'Soldier');
+  // The owner and moderator can bypass locks, so the group-wide rename skips them too
+  assert.deepStrictEqual(nicknames, { [MEMBER_ID]: 'Soldier', [OTHER_ID]: 'Soldier' });
+  assert.strictEqual(nicknames[BOT_ID], undefined);
+});
+
+test('/nickname off clears the group nickname and member pins', async () => {
+  const { state, threadID, command, lastMessage } = createHarness();
+  await command(MOD_ID, '/nickname on Soldier');
+  await command(MOD_ID, '/membernick set @Member Captain', { [MEMBER_ID]: '@Member' });
+  await command(MOD_ID, '/nickname off');
+
+  assert.strictEqual(state.threadPolicies[threadID].nickLock, false);
+  assert.strictEqual(state.threadPolicies[threadID].groupNickname, null);
+  assert.strictEqual(state.lockedNicknames[threadID], undefined);
+  assert.match(lastMessage(), /nicknames unlock ho gaye/);
+});
+
+test('/membernick set pins the mentioned member and keeps the nickname as typed', async () => {
+  const { api, state, threadID, command, lastMessage } = createHarness();
+  await command(OWNER_ID, '/membernick set @Member  Captain  Cool', { [MEMBER_ID]: '@Member' });
+
+  assert.deepStrictEqual(state.lockedNicknames[threadID], { [MEMBER_ID]: 'Captain  Cool' });
+  assert.strictEqual(api.thread(threadID).nicknames[MEMBER_ID], 'Captain  Cool');
+  assert.match(lastMessage(), /1 member ka nickname "Captain  Cool" pe lock ho gaya/);
+
+  const [entry] = queryAudit({ threadID });
+  assert.strictEqual(entry.type, 'member-nickname');
+  assert.strictEqual(entry.actorID, OWNER_ID);
+  assert.strictEqual(entry.participantID, MEMBER_ID);
+});
+
+test('/membernick set without a mention or nickname asks for the right format', async () => {
+  const { state, threadID, command, lastMessage } = createHarness();
+  await command(MOD_ID, '/membernick set Captain');
+
+  assert.strictEqual(state.lockedNicknames[threadID], undefined);
+  assert.match(lastMessage(), /Sahi format use karo: \/membernick set @user <nickname>/);
+});
+
+test('/membernick list shows member names with their pinned nickname', async () => {
+  const { command, lastMessage } = createHarness();
+  await command(MOD_ID, '/membernick set @Member Captain', { [MEMBER_ID]: '@Member' });
+  await command(MOD_ID, '/membernick list');
+
+  assert.match(lastMessage(), /Member → "Captain"/);
+});
+
+test('/membernick clear removes one pin or all of them', async () => {
+  const { state, threadID, command, lastMessage } = createHarness();
+  await command(MOD_ID, '/membernick set @Member @Other Captain', { [MEMBER_ID]: '@Member', [OTHER_ID]: '@Other' });
+  assert.deepStrictEqual(Object.keys(state.lockedNicknames[threadID]).sort(), [MEMBER_ID, OTHER_ID]);
+
+  await command(MOD_ID, '/membernick clear @Member', { [MEMBER_ID]: '@Member' });
+  assert.deepStrictEqual(state.lockedNicknames[threadID], { [OTHER_ID]: 'Captain' });
+  assert.match(lastMessage(), /1 member ka nickname unlock ho gaya/);
+
+  await command(MOD_ID, '/membernick clear all');
+  assert.strictEqual(state.lockedNicknames[threadID], undefined);
+
+  await command(MOD_ID, '/membernick clear all');
+  assert.match(lastMessage(), /Sahi format use karo/);
+});
+
+test('/photolock on stores the current group photo', async () => {
+  const photo = readFixture('group-photo.png');
+  const { state, threadID, command, lastMessage } = createHarness({ image: photo });
+  await command(MOD_ID, '/photolock on');
+
+  const locked = state.lockedGroupPhoto[threadID];
+  assert.ok(locked.file);
+  assert.strictEqual(locked.hash, crypto.createHash('sha256').update(photo).digest('hex'));
+  assert.match(lastMessage(), /Group photo lock ho gaya hai/);
+});
+
+test('/photolock on without a group photo explains what to do and is not audited', async () => {
+  const { state, threadID, command, lastMessage } = createHarness();
+  await command(MOD_ID, '/photolock on');
+
+  assert.strictEqual(state.lockedGroupPhoto[threadID], undefined);
+  assert.match(lastMessage(), /pehle ek photo set karo/);
+  assert.deepStrictEqual(queryAudit({ threadID }), []);
+});
+
+test('/photolock off releases the photo lock', async () => {
+  const { state, threadID, command, lastMessage } = createHarness({ image: readFixture('group-photo.png') });
+  await command(MOD_ID, '/photolock on');
+  await command(MOD_ID, '/photolock off');
+
+  assert.strictEqual(state.lockedGroupPhoto[threadID], undefined);
+  assert.match(lastMessage(), /Group photo unlock ho gaya hai/);
+});
+
+test('/gclock locks the name and /gcremove switches to auto-clear', async () => {
+  const { api, state, threadID, command, lastMessage } = createHarness();
+  await command(MOD_ID, '/gclock Fort Knox');
+  assert.strictEqual(api.thread(threadID).threadName, 'Fort Knox');
+  assert.match(lastMessage(), /Group name locked: "Fort Knox"/);
+
+  await command(MOD_ID, '/gcremove');
+  assert.strictEqual(api.thread(threadID).threadName, '');
+  assert.strictEqual(state.lockedGroups[threadID], undefined);
+  assert.deepStrictEqual(
+    { nameLock: state.threadPolicies[threadID].nameLock, nameAutoClear: state.threadPolicies[threadID].nameAutoClear },
+    { nameLock: false, nameAutoClear: true }
+  );
+  assert.match(lastMessage(), /Auto-remove ON/);
+});
+
+test('/gclock and /nicklock without a value ask for one', async () => {
+  const { state, threadID, command, lastMessage } = createHarness();
+  await command(MOD_ID, '/gclock');
+  assert.match(lastMessage(), /❌ "group_name" missing hai\.\nSahi format use karo: \/gclock <group_name>/);
+  await command(MOD_ID, '/nicklock');
+  assert.match(lastMessage(), /❌ "nickname" missing hai\.\nSahi format use karo: \/nicklock <nickname>/);
+  assert.strictEqual(state.threadPolicies[threadID], undefined);
+});
+
+test('/nicklock, /nickremoveall and /nickremoveoff manage the nickname policy', async () => {
+  const { api, state, threadID, command, lastMessage } = createHarness();
+  await command(MOD_ID, '/nicklock Soldier');
+  assert.strictEqual(api.thread(threadID).nicknames[MEMBER_ID], 'Soldier');
+  assert.match(lastMessage(), /Nickname locked: "Soldier"/);
+
+  await command(MOD_ID, '/nickremoveall');
+  assert.strictEqual(api.thread(threadID).nicknames[MEMBER_ID], undefined);
+  assert.strictEqual(state.threadPolicies[threadID].nickLock, false);
+  assert.strictEqual(state.threadPolicies[threadID].nickAutoClear, true);
+  assert.match(lastMessage(), /Nicknames cleared/);
+
+  await command(MOD_ID, '/nickremoveoff');
+  assert.strictEqual(state.threadPolicies[threadID].nickAutoClear, false);
+  assert.match(lastMessage(), /Nick auto-remove OFF/);
+
+  assert.deepStrictEqual(queryAudit({ threadID }).map(entry => entry.action), ['auto-clear-off', 'auto-clear-on', 'lock']);
+});
+
+test('/status reports every lock in the group', async () => {
+  const { command, lastMessage } = createHarness({ image: readFixture('group-photo.png') });
+  await command(MOD_ID, '/group on Fort Knox');
+  await command(MOD_ID, '/nickname on Soldier');
+  await command(MOD_ID, '/membernick set @Member Captain', { [MEMBER_ID]: '@Member' });
+  await command(MOD_ID, '/photolock on');
+  await command(MOD_ID, '/status');
+
+  const status = lastMessage();
+  assert.match(status, /GC Lock: ON \(Fort Knox\)/);
+  assert.match(status, /Nick Lock: ON \(Soldier\)/);
+  assert.match(status, /Member Nick Locks: Member → "Captain"/);
+  assert.match(status, /Photo Lock: ON/);
+});
+
+test('/botnick needs an admin and saves the nickname to config', async () => {
+  const { api, bot, threadID, command, lastMessage } = createHarness();
+  await command(MOD_ID, '/botnick Guard');
+  assert.match(lastMessage(), /Permission denied/);
+
+  await command(OWNER_ID, '/botnick Guard');
+  assert.strictEqual(api.thread(threadID).nicknames[BOT_ID], 'Guard');
+  assert.strictEqual(bot.settings.botNickname, 'Guard');
+  assert.strictEqual(loadConfig().botNickname, 'Guard');
+});
+
+test('a failed Messenger call still saves the lock and audits the error', async () => {
+  const { api, state, threadID, command, lastMessage } = createHarness();
+  api.failNext('setTitle', 'not an admin');
+  await command(MOD_ID, '/group on Fort Knox');
+
+  assert.strictEqual(state.lockedGroups[threadID], 'Fort Knox');
+  assert.strictEqual(queryAudit({ threadID })[0].error, 'not an admin');
+  assert.strictEqual(lastMessage(), 'Group name lock karne mein error aa gaya.');
+});
+
+test('commands with another prefix are ignored', async () => {
+  const { api, threadID, command } = createHarness();
+  await command(MOD_ID, '!group on Fort Knox');
+  assert.deepStrictEqual(api.messagesIn(threadID), []);
+});
@@ -0,0 +1,168 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { FakeMessengerAPI } = require('./support/fake-api');
+const { createConnection } = require('../src/connection');
+const { createSessionStarter } = require('../src/session');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A ws3-fca style login that fails `failures` times, then hands out fresh fake APIs
+function fakeLogin({ failures = 0 } = {}) {
+  const sessions = [];
+  let attempts = 0;
+  const login = (credentials, callback) => {
+    attempts++;
+    if (attempts <= failures) return setImmediate(() => callback(new Error('checkpoint')));
+    const api = new FakeMessengerAPI();
+    sessions.push(api);
+    setImmediate(() => callback(null, api));
+  };
+  return { login, sessions, attempts: () => attempts };
+}
+
+function connect({ login, onOnline, ...options }) {
+  const logs = [];
+  const statuses = [];
+  const events = [];
+  const connection = createConnection({
+    login,
+    emitLog: message => logs.push(message),
+    onOnline,
+    onEvent: (api, event) => events.push(event),
+    onStatus: status => statuses.push(status.state),
+    backoffMs: 5,
+    ...options
+  });
+  return { connection, logs, statuses, events };
+}
+
+test('a login goes online and delivers events', async () => {
+  const { login, sessions } = fakeLogin();
+  const online = [];
+  const { connection, statuses, events } = connect({ login, onOnline: (api, { fresh }) => online.push(fresh) });
+  connection.start([{ key: 'c_user', value: '1' }]);
+  await wait(20);
+
+  assert.deepStrictEqual(statuses, ['logging-in', 'online']);
+  assert.deepStrictEqual(online, [true]);
+  assert.strictEqual(connection.getAPI(), sessions[0]);
+  assert.strictEqual(connection.status().lastEventAt, null);
+
+  await sessions[0].emitMessage('t1', '2001', 'hi');
+  assert.strictEqual(events.length, 1);
+  assert.ok(connection.status().lastEventAt);
+  connection.stop();
+});
+
+test('a listener error re-attaches the listener before logging in again', async () => {
+  const { login, sessions, attempts } = fakeLogin();
+  const online = [];
+  const { connection, statuses } = connect({ login, onOnline: (api, { fresh }) => online.push(fresh) });
+  connection.start([]);
+  await wait(20);
+
+  sessions[0].emitError(new Error('Connection closed'));
+  assert.strictEqual(connection.status().state, 'backing-off');
+  assert.strictEqual(connection.getAPI(), null);
+  await wait(30);
+
+  assert.deepStrictEqual(online, [true, false]);
+  assert.strictEqual(attempts(), 1);
+  assert.strictEqual(connection.status().reconnects, 1);
+  assert.deepStrictEqual(statuses.slice(-2), ['backing-off', 'online']);
+  connection.stop();
+});
+
+test('login failures back off exponentially and end in failed', async () => {
+  const { login, attempts } = fakeLogin({ failures: 10 });
+  const { connection, logs, statuses } = connect({ login, maxAttempts: 3, maxBackoffMs: 12 });
+  connection.start([]);
+  await wait(100);
+
+  assert.strictEqual(attempts(), 4);
+  assert.strictEqual(connection.status().state, 'failed');
+  assert.strictEqual(connection.status().lastError, 'Login error: checkpoint');
+  assert.deepStrictEqual(statuses.filter(s => s === 'backing-off').length, 3);
+  assert.ok(logs.some(log => log.includes('Gave up after 3 attempts')));
+
+  // Nothing is left scheduled once it has given up
+  await wait(50);
+  assert.strictEqual(attempts(), 4);
+});
+
+test('timers started for a session stop when it goes offline', async () => {
+  const { login, sessions } = fakeLogin();
+  let ticks = 0;
+  const { connection } = connect({
+    login,
+    relistenAttempts: 0,
+    onOnline: (api, { every, fresh }) => {
+      if (fresh) every(5, () => ticks++);
+    }
+  });
+  connection.start([]);
+  await wait(30);
+  assert.ok(ticks > 0);
+
+  sessions[0].emitError(new Error('Connection closed'));
+  const ticksAtError = ticks;
+  await wait(30);
+  // A new login started its own interval; the old one is gone, so the rate is unchanged
+  assert.strictEqual(sessions.length, 2);
+  assert.ok(ticks - ticksAtError <= 7, `ticked ${ticks - ticksAtError} times in 30ms`);
+
+  connection.stop();
+  const ticksAtStop = ticks;
+  await wait(20);
+  assert.strictEqual(ticks, ticksAtStop);
+  assert.strictEqual(connection.status().state, 'disconnected');
+});
+
+test('starting again while online replaces the session instead of stacking one', async () => {
+  const { login, sessions } = fakeLogin();
+  const { connection } = connect({ login });
+  connection.start([]);
+  await wait(20);
+  connection.start([]);
+  await wait(20);
+
+  assert.strictEqual(sessions.length, 2);
+  assert.strictEqual(sessions[0].listener, null);
+  assert.strictEqual(connection.getAPI(), sessions[1]);
+  connection.stop();
+});
+
+test('a relistened session saves cookies and reconciles on a timer again', async () => {
+  const { login, sessions } = fakeLogin();
+  let saves = 0;
+  let reconcileInterval = null;
+  const bot = {
+    reconcile: () => {},
+    scheduleReconcile: (api, intervalMs) => { reconcileInterval = intervalMs; },
+    stopReconcile: () => { reconcileInterval = null; },
+    startSchedules: () => {},
+    updateJoinedGroups: () => {},
+    setBotNicknamesInGroups: () => {},
+    sendStartupMessage: () => {}
+  };
+  const { connection } = connect({
+    login,
+    onOnline: createSessionStarter({ bot, saveCookies: () => saves++, getReconcileIntervalMs: () => 60000, saveIntervalMs: 5, startupDelayMs: 0 }),
+    onOffline: () => bot.stopReconcile()
+  });
+  connection.start([]);
+  await wait(20);
+  assert.strictEqual(reconcileInterval, 60000);
+
+  sessions[0].emitError(new Error('Connection closed'));
+  assert.strictEqual(reconcileInterval, null);
+  await wait(10);
+  assert.strictEqual(connection.status().state, 'online');
+  assert.strictEqual(sessions.length, 1);
+  assert.strictEqual(reconcileInterval, 60000);
+
+  const savesAtRelisten = saves;
+  await wait(30);
+  assert.ok(saves > savesAtRelisten, 'cookies were not saved after the relisten');
+  connection.stop();
+});
@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createHarness, BOT_ID, OWNER_ID, MOD_ID, MEMBER_ID, OTHER_ID } = require('./support/harness');
+const { queryAudit } = require('../src/audit');
+const { loadState } = require('../src/state');
+
+async function send(api, threadID, senderID, count, body = (i) => `message ${i}`) {
+  for (let i = 0; i < count; i++) await api.emitMessage(threadID, senderID, body(i));
+}
+
+test('nothing is counted until the group turns flood protection on', async () => {
+  const { api, threadID, command } = createHarness();
+  await send(api, threadID, MEMBER_ID, 12);
+  assert.strictEqual(api.messagesIn(threadID).length, 0);
+
+  await command(MEMBER_ID, '/flood on');
+  assert.match(api.messagesIn(threadID).pop(), /Permission denied/);
+  await command(MOD_ID, '/flood on');
+  assert.match(api.messagesIn(threadID).pop(), /FLOOD PROTECTION: ON/);
+  assert.strictEqual(loadState().threadPolicies[threadID].flood.enabled, true);
+
+  await send(api, threadID, MEMBER_ID, 9);
+  assert.strictEqual(api.messagesIn(threadID).pop(), '🌊 Member, flood mat karo (bahut tez messages). Ye aapka strike 1 hai, agli baar mods ko bataya jayega.');
+  assert.strictEqual(loadState().strikes[threadID][MEMBER_ID][0].action, 'warn');
+});
+
+test('repeat offenders are reported to moderators and then removed', async () => {
+  const { api, threadID, command } = createHarness();
+  await command(MOD_ID, '/flood on');
+  await command(MOD_ID, '/flood limit repeats 2');
+  assert.match(api.messagesIn(threadID).pop(), /Max repeats: 2/);
+
+  const spam = () => 'BUY NOW';
+  await send(api, threadID, MEMBER_ID, 3, spam);
+  await send(api, threadID, MEMBER_ID, 3, spam);
+  assert.match(api.messagesIn(MOD_ID).pop(), /FLOOD: Member group ".*" mein flood kar raha hai \(ek hi message baar baar\)\. Strike 2\./);
+  assert.strictEqual(api.messagesIn(OWNER_ID).length, 0);
+
+  await send(api, threadID, MEMBER_ID, 3, spam);
+  assert.ok(!api.thread(threadID).participantIDs.includes(MEMBER_ID));
+  assert.match(api.messagesIn(threadID).pop(), /Member ko flood \(ek hi message baar baar\) ke liye group se hata diya\. Strike 3\./);
+  assert.match(api.messagesIn(MOD_ID).pop(), /Member ko group ".*" se flood .* ke liye hata diya/);
+
+  const [entry] = queryAudit({ threadID, action: 'flood-removed' });
+  assert.deepStrictEqual([entry.actorID, entry.participantID, entry.reverted], [MEMBER_ID, MEMBER_ID, true]);
+});
+
+test('a protected member who keeps flooding is removed and stays out', async () => {
+  const { api, threadID, command } = createHarness();
+  await command(MOD_ID, '/protect add @Member', { [MEMBER_ID]: '@Member' });
+  await command(MOD_ID, '/flood on');
+  await command(MOD_ID, '/flood actions remove');
+
+  await send(api, threadID, MEMBER_ID, 9);
+  assert.ok(!api.thread(threadID).participantIDs.includes(MEMBER_ID));
+  await api.emitUnsubscribe(threadID, BOT_ID, MEMBER_ID);
+
+  assert.ok(!api.thread(threadID).participantIDs.includes(MEMBER_ID));
+  assert.strictEqual(api.callsTo('addUserToGroup').length, 0);
+  assert.strictEqual(queryAudit({ threadID, action: 'flood-removed' }).length, 1);
+  assert.deepStrictEqual(queryAudit({ threadID, action: 'tamper' }), []);
+});
+
+test('mass mentions count as flood, and moderators are exempt', async () => {
+  const { api, threadID, command } = createHarness();
+  await command(MOD_ID, '/flood on');
+  await command(MOD_ID, '/flood limit mentions 2');
+  await command(MOD_ID, '/flood actions notify');
+  await command(MOD_ID, '/flood actions shout');
+  assert.match(api.messagesIn(threadID).pop(), /Actions sirf ye ho sakte hain: warn, notify, remove/);
+
+  await send(api, threadID, MOD_ID, 12);
+  const mentions = { [OWNER_ID]: '@Owner', [MOD_ID]: '@Moderator', [OTHER_ID]: '@Other' };
+  await api.emitMessage(threadID, MOD_ID, 'hey @Owner @Moderator @Other', mentions);
+  assert.strictEqual(loadState().strikes[threadID], undefined);
+
+  await api.emitMessage(threadID, MEMBER_ID, 'hey @Owner @Moderator @Other', mentions);
+  assert.match(api.messagesIn(MOD_ID).pop(), /\(bahut saare mentions\)\. Strike 1\./);
+});
+
+test('moderators can see and reset a member\'s strikes', async () => {
+  const { api, threadID, command, lastMessage } = createHarness();
+  await command(MOD_ID, '/flood on');
+  await command(MOD_ID, '/strikes list');
+  assert.match(lastMessage(), /Kisi member ke strikes nahi hain/);
+
+  await send(api, threadID, MEMBER_ID, 9);
+  await command(MOD_ID, '/strikes list');
+  assert.match(lastMessage(), /🌊 STRIKES:\n• Member: 1$/);
+  await command(MOD_ID, '/strikes show @Member', { [MEMBER_ID]: '@Member' });
+  assert.match(lastMessage(), /Member ke strikes:\n• .* • bahut tez messages \(9\) → warning/);
+
+  await command(MOD_ID, '/strikes reset @Member', { [MEMBER_ID]: '@Member' });
+  assert.match(lastMessage(), /🧽 Member ke 1 strikes hata diye\.$/);
+  assert.strictEqual(loadState().strikes[threadID], undefined);
+
+  await command(MOD_ID, '/status');
+  assert.match(lastMessage(), /Flood Protection: ON/);
+});
@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createHarness, BOT_ID, MOD_ID, MEMBER_ID } = require('./support/harness');
+const { loadState } = require('../src/state');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const NEW_A = '3001';
+const NEW_B = '3002';
+
+function harnessWithNewcomers(options) {
+  const harness = createHarness(options);
+  harness.api.addUser(NEW_A, 'Asha');
+  harness.api.addUser(NEW_B, 'Bilal');
+  return harness;
+}
+
+test('nobody is welcomed until the group turns welcomes on', async () => {
+  const { api, threadID } = harnessWithNewcomers();
+  const before = api.messagesIn(threadID).length;
+  await api.emitSubscribe(threadID, MEMBER_ID, [NEW_A]);
+  await wait(60);
+
+  assert.strictEqual(api.messagesIn(threadID).length, before);
+});
+
+test('members joining close together get one welcome that mentions each of them', async () => {
+  const { api, threadID, command, lastMessage } = harnessWithNewcomers();
+  await command(MEMBER_ID, '/welcome on');
+  assert.match(lastMessage(), /Permission denied/);
+  await command(MOD_ID, '/welcome on');
+  await command(MOD_ID, '/welcome rules 1. Be kind\n2. No spam');
+  assert.match(lastMessage(), /Group rules save ho gaye/);
+  const before = api.messagesIn(threadID).length;
+
+  await api.emitSubscribe(threadID, MEMBER_ID, [NEW_A]);
+  await api.emitSubscribe(threadID, MEMBER_ID, [NEW_B]);
+  await wait(60);
+
+  const sent = api.callsTo('sendMessage').slice(-1)[0].args[0];
+  assert.strictEqual(api.messagesIn(threadID).length, before + 1);
+  assert.strictEqual(sent.body, '👋 Welcome Asha, Bilal! Group mein aapka swagat hai.\n📜 Group rules:\n1. Be kind\n2. No spam');
+  assert.deepStrictEqual(sent.mentions, [
+    { tag: 'Asha', id: NEW_A, fromIndex: 11 },
+    { tag: 'Bilal', id: NEW_B, fromIndex: 17 }
+  ]);
+  assert.strictEqual(loadState().threadPolicies[threadID].greetings.welcome, true);
+});
+
+test('a custom welcome template is used and a member who left first is dropped', async () => {
+  const { api, threadID, command, lastMessage } = harnessWithNewcomers();
+  await command(MOD_ID, '/welcome set Hi {names}, you make {count}!');
+  assert.match(lastMessage(), /Naya welcome message save ho gaya/);
+
+  await api.emitSubscribe(threadID, MEMBER_ID, [NEW_A, NEW_B]);
+  await api.emitUnsubscribe(threadID, NEW_B, NEW_B);
+  await wait(60);
+  assert.strictEqual(lastMessage(), 'Hi Asha, you make 1!');
+
+  await command(MOD_ID, '/welcome reset');
+  await api.emitSubscribe(threadID, MEMBER_ID, [NEW_B]);
+  await wait(60);
+  assert.match(lastMessage(), /^👋 Welcome Bilal!/);
+});
+
+test('farewells mention who left, and the bot leaving only refreshes the group list', async () => {
+  const { api, threadID, command, lastMessage, logs } = harnessWithNewcomers();
+  await command(MOD_ID, '/farewell on');
+  await api.emitUnsubscribe(threadID, MEMBER_ID, MEMBER_ID);
+
+  const sent = api.callsTo('sendMessage').slice(-1)[0].args[0];
+  assert.deepStrictEqual(sent, {
+    body: '👋 Member ne group chhod diya.',
+    mentions: [{ tag: 'Member', id: MEMBER_ID, fromIndex: 3 }]
+  });
+
+  await command(MOD_ID, '/farewell set Bye {name}, {group} will miss you');
+  await api.emitUnsubscribe(threadID, MOD_ID, BOT_ID);
+  assert.match(lastMessage(), /Naya farewell message save ho gaya/);
+  assert.ok(logs.some(entry => entry.message === `👋 Bot left or was removed from group ${threadID}`));
+});
+
+test('new members get the locked nickname when auto-nickname is on', async () => {
+  const { api, threadID, command } = harnessWithNewcomers();
+  await command(MOD_ID, '/nickname on Soldier');
+  await api.emitSubscribe(threadID, MEMBER_ID, [NEW_A]);
+  assert.strictEqual(api.thread(threadID).nicknames[NEW_A], undefined);
+
+  await command(MOD_ID, '/autonick on');
+  await api.emitSubscribe(threadID, MEMBER_ID, [NEW_B]);
+  assert.strictEqual(api.thread(threadID).nicknames[NEW_B], 'Soldier');
+
+  await command(MOD_ID, '/nickname off');
+  await api.emitSubscribe(threadID, MEMBER_ID, ['3003']);
+  assert.strictEqual(api.thread(threadID).nicknames['3003'], undefined);
+});
@@ -0,0 +1,129 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createHarness, OWNER_ID, MOD_ID, MEMBER_ID } = require('./support/harness');
+const { BASE_LOCALE, loadLocales, renderTemplate, createTranslator } = require('../src/i18n');
+const { loadState } = require('../src/state');
+const { loadConfig } = require('../src/config');
+const { loadCommands } = require('../src/command-registry');
+
+// Every dotted key with a text (or list of texts) in `pack`
+function keysOf(pack, prefix = '') {
+  return Object.entries(pack).flatMap(([key, value]) => (value && typeof value === 'object' && !Array.isArray(value) && !(prefix === 'chat.' && key === 'triggers')
+    ? keysOf(value, `${prefix}${key}.`)
+    : [`${prefix}${key}`]));
+}
+
+test('templates fill placeholders and keep unknown ones as written', () => {
+  assert.strictEqual(renderTemplate('Hi {name}, {missing}!', { name: 'Asha' }), 'Hi Asha, {missing}!');
+  assert.strictEqual(renderTemplate('{count} left', { count: 0 }), '0 left');
+});
+
+test('a missing key falls back through the pack, the default and the base locale', () => {
+  const i18n = createTranslator({
+    defaultLocale: 'en',
+    locales: {
+      [BASE_LOCALE]: { greet: 'Namaste {name}', bye: 'Alvida', only: 'base' },
+      en: { greet: 'Hello {name}', bye: 'Bye' },
+      pirate: { meta: { fallback: 'en' }, greet: ['Ahoy {name}'] },
+      quiet: { bye: [] }
+    }
+  });
+
+  assert.strictEqual(i18n.t('pirate', 'greet', { name: 'Asha' }), 'Ahoy Asha');
+  assert.strictEqual(i18n.t('pirate', 'bye'), 'Bye');
+  assert.strictEqual(i18n.t('pirate', 'only'), 'base');
+  assert.strictEqual(i18n.t('nope', 'greet', { name: 'Asha' }), 'Hello Asha');
+  assert.strictEqual(i18n.t('quiet', 'bye'), '');
+  assert.throws(() => i18n.t('en', 'unknown'), /Missing reply template "unknown"/);
+});
+
+test('the base pack has every key the other packs use', () => {
+  const locales = loadLocales();
+  const baseKeys = new Set(keysOf(locales[BASE_LOCALE]));
+  for (const [code, pack] of Object.entries(locales)) {
+    const extra = keysOf(pack).filter(key => !key.startsWith('meta.') && !baseKeys.has(key));
+    assert.deepStrictEqual(extra, [], `${code} has keys the base pack lacks`);
+  }
+  const missingInEnglish = [...baseKeys].filter(key => !keysOf(locales.en).includes(key));
+  assert.deepStrictEqual(missingInEnglish, []);
+});
+
+test('every command has its help texts in the base and English packs', () => {
+  const locales = loadLocales();
+  const commands = loadCommands();
+  const expected = commands.flatMap(command => [
+    `help.commands.${command.name}.description`,
+    ...(command.usage.length > 0 ? command.usage : [{}]).map(line => `help.commands.${command.name}.args.${line.key || line.sub || 'default'}`)
+  ]);
+  for (const code of [BASE_LOCALE, 'en']) {
+    const keys = keysOf(locales[code]).filter(key => key.startsWith('help.commands.'));
+    assert.deepStrictEqual(expected.filter(key => !keys.includes(key)), [], `${code} is missing help texts`);
+    assert.deepStrictEqual(keys.filter(key => !expected.includes(key)), [], `${code} has help texts for no command`);
+  }
+});
+
+test('/help is written in the group\'s language', async () => {
+  const { command, lastMessage } = createHarness();
+  await command(MOD_ID, '/language en');
+  await command(MEMBER_ID, '/help');
+  assert.match(lastMessage(), /\/tid ➡️ Find the group ID\.\n/);
+
+  await command(MEMBER_ID, '/help welcome');
+  assert.match(lastMessage(), /Sets the welcome message and group rules for new members\./);
+  assert.match(lastMessage(), /\/welcome set <template> ➡️ Write your own welcome message \(\{names\}, \{count\}, \{group\}, \{rules\}\)\./);
+});
+
+test('/language switches the replies of one group and is saved', async () => {
+  const { threadID, command, lastMessage } = createHarness();
+  await command(MEMBER_ID, '/language en');
+  assert.match(lastMessage(), /Permission denied/);
+
+  await command(MOD_ID, '/language');
+  assert.match(lastMessage(), /Is group ki language: hi-Latn\nAvailable: classic \(.*\), en \(English\), hi-Latn \(Hinglish\)/);
+
+  await command(MOD_ID, '/language EN');
+  assert.match(lastMessage(), /This group's language is now en\./);
+  assert.strictEqual(loadState().threadPolicies[threadID].locale, 'en');
+
+  await command(MOD_ID, '/group on Fort Knox');
+  assert.match(lastMessage(), /The group name is locked to "Fort Knox"\./);
+
+  await command(MOD_ID, '/language klingon');
+  assert.match(lastMessage(), /There is no language called "klingon"/);
+
+  await command(MOD_ID, '/language default');
+  assert.match(lastMessage(), /Is group ki language ab bot ki default \(hi-Latn\) hai\./);
+  assert.strictEqual(loadState().threadPolicies[threadID].locale, null);
+});
+
+test('the classic pack brings back the original frame and trigger replies', async () => {
+  const { command, lastMessage } = createHarness();
+  await command(OWNER_ID, '/language classic');
+  assert.match(lastMessage(), /\[🤘💀•𖨆٭ Owner꙳○𖨆°💀🤟\]/);
+  assert.match(lastMessage(), /◖SADHIN; ♥️\n\n---😈---😈---😈---😈---😈\n$/);
+
+  await command(MEMBER_ID, 'oye chutiya');
+  assert.ok(lastMessage().startsWith('             [🤘💀•𖨆٭ Member'));
+
+  // The clean packs have no trigger words, so the same message gets no reply
+  await command(OWNER_ID, '/language default');
+  const before = lastMessage();
+  await command(MEMBER_ID, 'oye chutiya');
+  assert.strictEqual(lastMessage(), before);
+});
+
+test('a configured signature and separator replace the locale ones and are saved', async () => {
+  const { bot, command, lastMessage } = createHarness();
+  bot.updateReplySettings({ signature: '\n— lock bot', separator: '\n~~~' });
+  await command(MOD_ID, '/group off');
+  assert.match(lastMessage(), /unlock ho gaya hai\.\n— lock bot\n~~~$/);
+  assert.deepStrictEqual(
+    { signature: loadConfig().signature, separator: loadConfig().separator },
+    { signature: '\n— lock bot', separator: '\n~~~' }
+  );
+
+  bot.updateReplySettings({ locale: 'en', signature: null, separator: null });
+  await command(MOD_ID, '/group off');
+  assert.match(lastMessage(), /The group name is unlocked\.$/);
+  assert.throws(() => bot.updateReplySettings({ locale: 'xx' }), /Unknown locale "xx"/);
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createHarness, BOT_ID, OWNER_ID, MOD_ID, MEMBER_ID, OTHER_ID } = require('./support/harness');
+const { queryAudit } = require('../src/audit');
+const { loadState } = require('../src/state');
+
+const STRANGER = '3001';
+
+test('a protected member removed by someone else is added back', async () => {
+  const { api, threadID, command, lastMessage } = createHarness();
+  await command(MEMBER_ID, '/protect add @Other', { [OTHER_ID]: '@Other' });
+  assert.match(lastMessage(), /Permission denied/);
+  await command(MOD_ID, '/protect add @Other', { [OTHER_ID]: '@Other' });
+  assert.match(lastMessage(), /Protected: Other/);
+  assert.deepStrictEqual(loadState().threadPolicies[threadID].protectedMembers, [OTHER_ID]);
+
+  await api.emitUnsubscribe(threadID, MEMBER_ID, OTHER_ID);
+  assert.ok(api.thread(threadID).participantIDs.includes(OTHER_ID));
+  assert.strictEqual(lastMessage(), '🛡️ Member, Other protected member hai, unhe wapas add kar diya.');
+
+  const [entry] = queryAudit({ threadID, type: 'member', action: 'tamper' });
+  assert.deepStrictEqual([entry.actorID, entry.participantID, entry.reverted], [MEMBER_ID, OTHER_ID, true]);
+});
+
+test('protected members may still leave on their own, and moderators may remove them', async () => {
+  const { api, threadID, command } = createHarness();
+  await command(MOD_ID, '/protect add @Other @Member', { [OTHER_ID]: '@Other', [MEMBER_ID]: '@Member' });
+
+  await api.emitUnsubscribe(threadID, OTHER_ID, OTHER_ID);
+  await api.emitUnsubscribe(threadID, MOD_ID, MEMBER_ID);
+  assert.strictEqual(api.callsTo('addUserToGroup').length, 0);
+
+  await command(MOD_ID, '/protect remove @Other', { [OTHER_ID]: '@Other' });
+  await command(MOD_ID, '/status');
+  assert.match(api.messagesIn(threadID).pop(), /• Protected Members: Member\n• Join Allow-List: OFF/);
+});
+
+test('with the allow-list on, members added by non-moderators are removed and moderators are told', async () => {
+  const { api, threadID, command, lastMessage } = createHarness();
+  api.addUser(STRANGER, 'Stranger');
+  await command(MOD_ID, '/allowlist on');
+  assert.match(lastMessage(), /Allow-list chalu/);
+  assert.strictEqual(loadState().threadPolicies[threadID].joinAllowList, true);
+
+  await api.emitSubscribe(threadID, MEMBER_ID, [STRANGER]);
+  assert.ok(!api.thread(threadID).participantIDs.includes(STRANGER));
+  const notice = api.messagesIn(MOD_ID).pop();
+  assert.match(notice, /ALLOW-LIST: Member ne group ".*" mein Stranger ko add kiya tha/);
+  assert.strictEqual(api.messagesIn(OWNER_ID).length, 0);
+
+  const [entry] = queryAudit({ threadID, action: 'join-blocked' });
+  assert.deepStrictEqual([entry.actorID, entry.participantID, entry.reverted], [MEMBER_ID, STRANGER, true]);
+
+  await api.emitSubscribe(threadID, MOD_ID, [STRANGER]);
+  assert.ok(api.thread(threadID).participantIDs.includes(STRANGER));
+});
+
+test('a protected member the bot removes itself is not added back', async () => {
+  const { api, threadID, command } = createHarness();
+  await command(MOD_ID, '/protect add @Other', { [OTHER_ID]: '@Other' });
+  const before = api.messagesIn(threadID).length;
+
+  // Messenger reports a removal the bot made as an unsubscribe authored by the bot
+  await api.removeUserFromGroup(OTHER_ID, threadID);
+  await api.emitUnsubscribe(threadID, BOT_ID, OTHER_ID);
+
+  assert.ok(!api.thread(threadID).participantIDs.includes(OTHER_ID));
+  assert.strictEqual(api.callsTo('addUserToGroup').length, 0);
+  assert.strictEqual(api.messagesIn(threadID).length, before);
+  assert.deepStrictEqual(queryAudit({ threadID, action: 'tamper' }), []);
+});
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createHarness, MOD_ID, MEMBER_ID } = require('./support/harness');
+const { createMetrics } = require('../src/metrics');
+
+// The sample lines of `text` that belong to `name`, without HELP/TYPE comments
+function samples(text, name) {
+  return text.split('\n').filter(line => line.startsWith(name + '{') || line.startsWith(name + ' '));
+}
+
+test('counters and gauges render in the Prometheus text format', () => {
+  const metrics = createMetrics({ prefix: 'test_' });
+  const hits = metrics.counter('hits_total', 'Hits by path.');
+  hits.inc({ path: '/a' });
+  hits.inc({ path: '/a' }, 2);
+  hits.inc({ path: 'say "hi"\n' });
+  metrics.gauge('queue', 'Items waiting.', () => 4);
+  metrics.counter('seen_total', 'Read from elsewhere.', () => [{ labels: { kind: 'x' }, value: 7 }]);
+
+  assert.strictEqual(metrics.render(), [
+    '# HELP test_hits_total Hits by path.',
+    '# TYPE test_hits_total counter',
+    'test_hits_total{path="/a"} 3',
+    'test_hits_total{path="say \\"hi\\"\\n"} 1',
+    '# HELP test_queue Items waiting.',
+    '# TYPE test_queue gauge',
+    'test_queue 4',
+    '# HELP test_seen_total Read from elsewhere.',
+    '# TYPE test_seen_total counter',
+    'test_seen_total{kind="x"} 7',
+    ''
+  ].join('\n'));
+  assert.throws(() => metrics.gauge('queue', 'again'), /already registered/);
+});
+
+test('a collector that throws leaves the rest of the scrape intact', () => {
+  const metrics = createMetrics({ prefix: '' });
+  metrics.gauge('broken', 'Throws.', () => { throw new Error('boom'); });
+  metrics.gauge('fine', 'Works.', () => 1);
+
+  assert.deepStrictEqual(samples(metrics.render(), 'fine'), ['fine 1']);
+  assert.deepStrictEqual(samples(metrics.render(), 'broken'), []);
+});
+
+test('the bot counts events, commands, reverts, outbound calls and locks', async () => {
+  const { api, bot, threadID, command } = createHarness();
+  await command(MOD_ID, '/group on Fort Knox');
+  await command(MEMBER_ID, '/group on Mine');
+  await command(MOD_ID, '/group');
+  await api.emitThreadName(threadID, MEMBER_ID, 'Hacked');
+  api.failNext('sendMessage', 'blocked');
+  await api.emitThreadName(threadID, MEMBER_ID, 'Hacked again');
+
+  const text = bot.metrics.render();
+  assert.deepStrictEqual(samples(text, 'sadhin_events_total'), [
+    'sadhin_events_total{type="message"} 3',
+    'sadhin_events_total{type="log:thread-name"} 2'
+  ]);
+  assert.ok(text.includes('sadhin_commands_total{command="group",outcome="ok"} 1'));
+  assert.ok(text.includes('sadhin_commands_total{command="group",outcome="denied"} 1'));
+  assert.ok(text.includes('sadhin_commands_total{command="group",outcome="usage"} 1'));
+  assert.ok(text.includes('sadhin_lock_reverts_total{type="name",source="event",result="reverted"} 2'));
+  assert.ok(text.includes('sadhin_outbound_calls_total{method="setTitle"} 3'));
+  assert.ok(text.includes('sadhin_outbound_failures_total{method="sendMessage"} 1'));
+  assert.ok(text.includes('sadhin_active_locks{type="name"} 1'));
+  assert.ok(text.includes('sadhin_active_locks{type="photo"} 0'));
+  assert.deepStrictEqual(samples(text, 'sadhin_handler_crashes_total'), []);
+});
+
+test('handler crashes are counted', async () => {
+  const { bot, api } = createHarness();
+  // A subscribe event without logMessageData throws inside the handler
+  await bot.handleEvent(api, { type: 'event', threadID: 'x', logMessageType: 'log:subscribe' });
+
+  assert.deepStrictEqual(samples(bot.metrics.render(), 'sadhin_handler_crashes_total'), ['sadhin_handler_crashes_total 1']);
+});
@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createHarness, readFixture, BOT_ID, MOD_ID, MEMBER_ID, OTHER_ID } = require('./support/harness');
+const { lockedThreadIDs, findDrift } = require('../src/reconcile');
+const { queryAudit } = require('../src/audit');
+
+test('changes made while disconnected are restored by the sweep', async () => {
+  const { api, bot, threadID, command } = createHarness();
+  await command(MOD_ID, '/group on Fort Knox');
+  await command(MOD_ID, '/nickname on Soldier');
+  api.reset();
+
+  // Edited straight on the fake, so no events reach the bot
+  const thread = api.thread(threadID);
+  thread.threadName = 'Renamed Offline';
+  thread.nicknames[MEMBER_ID] = 'Rebel';
+  delete thread.nicknames[OTHER_ID];
+
+  const summary = await bot.reconcile(api, 'reconnect');
+
+  assert.strictEqual(thread.threadName, 'Fort Knox');
+  assert.strictEqual(thread.nicknames[MEMBER_ID], 'Soldier');
+  assert.strictEqual(thread.nicknames[OTHER_ID], 'Soldier');
+  assert.strictEqual(summary.checked, 1);
+  assert.strictEqual(summary.fixed, 3);
+  assert.strictEqual(summary.failed, 0);
+
+  const entries = queryAudit({ threadID, action: 'reconcile' });
+  assert.strictEqual(entries.length, 3);
+  const name = entries.find(entry => entry.type === 'name');
+  assert.strictEqual(name.oldValue, 'Fort Knox');
+  assert.strictEqual(name.newValue, 'Renamed Offline');
+  assert.strictEqual(name.reverted, true);
+});
+
+test('a group that already matches its locks is left alone', async () => {
+  const { api, bot, threadID, command, logs } = createHarness();
+  await command(MOD_ID, '/group on Fort Knox');
+  api.reset();
+
+  const summary = await bot.reconcile(api, 'interval');
+
+  assert.strictEqual(summary.fixed, 0);
+  assert.deepStrictEqual(api.calls.map(call => call.method), ['getThreadInfo']);
+  assert.deepStrictEqual(queryAudit({ threadID, action: 'reconcile' }), []);
+  assert.ok(logs.some(log => log.message === '🔁 Reconcile (interval): 1 groups checked, 0 changes restored, 0 failed'));
+});
+
+test('a photo swapped while disconnected is put back, and the restored one is not redone', async () => {
+  const photo = readFixture('group-photo.png');
+  const { api, bot, state, threadID, command } = createHarness({ image: photo });
+  await command(MOD_ID, '/photolock on');
+  api.thread(threadID).image = readFixture('other-photo.png');
+
+  const first = await bot.reconcile(api, 'login');
+  assert.strictEqual(first.fixed, 1);
+  assert.deepStrictEqual(api.thread(threadID).image, photo);
+  assert.ok(state.lockedGroupPhoto[threadID].liveHash);
+
+  api.reset();
+  const second = await bot.reconcile(api, 'interval');
+  assert.strictEqual(second.fixed, 0);
+  assert.strictEqual(api.callsTo('changeGroupImage').length, 0);
+});
+
+test('failures are counted per group without stopping the sweep', async () => {
+  const { api, bot, threadID, command } = createHarness();
+  await command(MOD_ID, '/group on Fort Knox');
+  bot.getState().lockedGroups['gone-group'] = 'Old';
+  bot.getState().threadPolicies['gone-group'] = { nameLock: true };
+  api.thread(threadID).threadName = 'Renamed Offline';
+  api.failNext('setTitle', 'not an admin');
+
+  const summary = await bot.reconcile(api, 'reconnect');
+
+  assert.strictEqual(summary.checked, 1);
+  assert.strictEqual(summary.failed, 2);
+  const gone = summary.threads.find(report => report.threadID === 'gone-group');
+  assert.match(gone.error, /Unknown thread/);
+  const [entry] = queryAudit({ threadID, action: 'reconcile' });
+  assert.strictEqual(entry.reverted, false);
+  assert.strictEqual(entry.error, 'not an admin');
+});
+
+test('paused locks are not reconciled', async () => {
+  const { api, bot, threadID, command } = createHarness();
+  await command(MOD_ID, '/group on Fort Knox');
+  bot.getState().threadPolicies[threadID].paused.name = { actorID: MEMBER_ID, attempts: 6 };
+  api.thread(threadID).threadName = 'Other Bot';
+
+  const summary = await bot.reconcile(api, 'interval');
+
+  assert.strictEqual(summary.fixed, 0);
+  assert.strictEqual(api.thread(threadID).threadName, 'Other Bot');
+});
+
+test('findDrift applies pins before the group nickname and skips the bot', async () => {
+  const { api, bot, threadID, command } = createHarness();
+  await command(MOD_ID, '/nickname on Soldier');
+  const state = bot.getState();
+  state.lockedNicknames[threadID] = { [MEMBER_ID]: 'Captain' };
+  const threadInfo = await api.getThreadInfo(threadID);
+  threadInfo.nicknames[MEMBER_ID] = 'Soldier';
+
+  const drift = await findDrift(api, state, threadID, threadInfo);
+
+  assert.deepStrictEqual(drift, [{ type: 'nickname', participantID: MEMBER_ID, expected: 'Captain', actual: 'Soldier' }]);
+  assert.ok(!drift.some(d => d.participantID === BOT_ID));
+  assert.ok(lockedThreadIDs(state).includes(threadID));
+});
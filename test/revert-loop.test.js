@@ -0,0 +1,112 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createHarness, OWNER_ID, MOD_ID, MEMBER_ID, OTHER_ID } = require('./support/harness');
+const { createRevertGuard } = require('../src/revert-guard');
+const { queryAudit } = require('../src/audit');
+const { loadState } = require('../src/state');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('the guard reverts, then backs off exponentially, then pauses', () => {
+  const guard = createRevertGuard({ backoffAfter: 2, pauseAfter: 5, backoffMs: 100 });
+  const verdicts = Array.from({ length: 5 }, () => guard.record('t1', 'name'));
+
+  assert.deepStrictEqual(verdicts.map(v => v.action), ['revert', 'revert', 'defer', 'defer', 'pause']);
+  assert.deepStrictEqual(verdicts.filter(v => v.delayMs).map(v => v.delayMs), [100, 200]);
+  assert.strictEqual(verdicts[4].count, 5);
+  // Pausing starts the count over, and other locks have their own count
+  assert.strictEqual(guard.record('t1', 'name').action, 'revert');
+  assert.strictEqual(guard.record('t1', 'nickname').count, 1);
+});
+
+test('attempts older than the window are forgotten', () => {
+  let time = 0;
+  const guard = createRevertGuard({ windowMs: 1000, backoffAfter: 1, now: () => time });
+  guard.record('t1', 'name');
+  assert.strictEqual(guard.record('t1', 'name').action, 'defer');
+  time = 5000;
+  assert.strictEqual(guard.record('t1', 'name').action, 'revert');
+});
+
+test('stopping the guard drops waiting reverts but keeps the count', async () => {
+  const guard = createRevertGuard({ backoffAfter: 1, pauseAfter: 5, backoffMs: 10 });
+  let reverted = 0;
+  guard.record('t1', 'name');
+  const verdict = guard.record('t1', 'name');
+  guard.defer('t1', 'name', verdict.delayMs, () => reverted++);
+  guard.stop();
+  await wait(30);
+
+  assert.strictEqual(reverted, 0);
+  assert.strictEqual(guard.record('t1', 'name').count, 3);
+});
+
+test('a rename loop backs off, then pauses the lock and tells the owners', async () => {
+  const { api, state, threadID, command, lastMessage } = createHarness();
+  await command(MOD_ID, '/group on Fort Knox');
+  api.reset();
+
+  for (let i = 1; i <= 3; i++) {
+    await api.emitThreadName(threadID, MEMBER_ID, `Other Bot ${i}`);
+  }
+  assert.strictEqual(api.callsTo('setTitle').length, 3);
+
+  // The fourth change is only reverted after the backoff, without a taunt
+  await api.emitThreadName(threadID, MEMBER_ID, 'Other Bot 4');
+  assert.strictEqual(api.thread(threadID).threadName, 'Other Bot 4');
+  const taunts = api.messagesIn(threadID).length;
+  await wait(20);
+  assert.strictEqual(api.thread(threadID).threadName, 'Fort Knox');
+  assert.strictEqual(api.messagesIn(threadID).length, taunts);
+
+  await api.emitThreadName(threadID, MEMBER_ID, 'Other Bot 5');
+  await api.emitThreadName(threadID, MEMBER_ID, 'Other Bot 6');
+  await wait(30);
+  assert.strictEqual(api.thread(threadID).threadName, 'Other Bot 6');
+  assert.strictEqual(state.threadPolicies[threadID].paused.name.actorID, MEMBER_ID);
+  assert.ok(loadState().threadPolicies[threadID].paused.name);
+  assert.match(api.messagesIn(OWNER_ID)[0], /LOCK CONFLICT: Group thread-\d+ mein name lock ko 2001 baar baar badal raha hai \(6 baar\)/);
+
+  const [conflict] = queryAudit({ threadID, action: 'conflict' });
+  assert.deepStrictEqual({ type: conflict.type, actorID: conflict.actorID, newValue: conflict.newValue }, { type: 'name', actorID: MEMBER_ID, newValue: 'Other Bot 6' });
+
+  // A paused lock no longer fights back
+  const titles = api.callsTo('setTitle').length;
+  await api.emitThreadName(threadID, MEMBER_ID, 'Other Bot 7');
+  assert.strictEqual(api.callsTo('setTitle').length, titles);
+
+  await command(MOD_ID, '/status');
+  assert.match(lastMessage(), /GC Lock: ON \(Fort Knox\) ⏸️ PAUSED \(conflict with 2001\)/);
+});
+
+test('/lockresume puts the locked value back and enforces the lock again', async () => {
+  const { api, state, threadID, command, lastMessage } = createHarness();
+  await command(MOD_ID, '/nickname on Soldier');
+  state.threadPolicies[threadID].paused.nickname = { at: new Date().toISOString(), actorID: MEMBER_ID, attempts: 6 };
+  await api.emitNickname(threadID, OTHER_ID, MEMBER_ID, 'Rebel');
+  assert.strictEqual(api.thread(threadID).nicknames[MEMBER_ID], 'Rebel');
+
+  await command(MOD_ID, '/lockresume nickname');
+  assert.match(lastMessage(), /nickname lock phir se chalu ho gaya/);
+  assert.strictEqual(api.thread(threadID).nicknames[MEMBER_ID], 'Soldier');
+  assert.deepStrictEqual(state.threadPolicies[threadID].paused, {});
+  assert.strictEqual(queryAudit({ threadID })[0].action, 'resume');
+
+  await api.emitNickname(threadID, OTHER_ID, MEMBER_ID, 'Rebel');
+  assert.strictEqual(api.thread(threadID).nicknames[MEMBER_ID], 'Soldier');
+
+  await command(MOD_ID, '/lockresume nickname');
+  assert.match(lastMessage(), /nickname lock pause nahi hai/);
+});
+
+test('setting the lock again starts the loop count over', async () => {
+  const { api, threadID, command } = createHarness();
+  await command(MOD_ID, '/group on Fort Knox');
+  for (let i = 1; i <= 3; i++) {
+    await api.emitThreadName(threadID, MEMBER_ID, `Other ${i}`);
+  }
+  await command(MOD_ID, '/group on Fort Knox');
+  await api.emitThreadName(threadID, MEMBER_ID, 'Other 4');
+
+  assert.strictEqual(api.thread(threadID).threadName, 'Fort Knox');
+});
@@ -0,0 +1,207 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createHarness, readFixture, BOT_ID, OWNER_ID, MOD_ID, MEMBER_ID, OTHER_ID } = require('./support/harness');
+const { queryAudit } = require('../src/audit');
+
+test('a locked group name is put back and the change is audited', async () => {
+  const { api, threadID, command, broadcasts, lastMessage } = createHarness();
+  await command(MOD_ID, '/group on Fort Knox');
+  await api.emitThreadName(threadID, MEMBER_ID, 'Hacked');
+
+  assert.strictEqual(api.thread(threadID).threadName, 'Fort Knox');
+  assert.match(lastMessage(), /group ka naam locked hai/);
+
+  const [entry] = queryAudit({ threadID, action: 'tamper' });
+  assert.deepStrictEqual(
+    { type: entry.type, actorID: entry.actorID, oldValue: entry.oldValue, newValue: entry.newValue, reverted: entry.reverted },
+    { type: 'name', actorID: MEMBER_ID, oldValue: 'Fort Knox', newValue: 'Hacked', reverted: true }
+  );
+  assert.ok(broadcasts.some(b => b.event === 'lockEvent' && b.payload.id === entry.id));
+});
+
+test('renaming to the locked name is left alone', async () => {
+  const { api, threadID, command } = createHarness();
+  await command(MOD_ID, '/group on Fort Knox');
+  api.reset();
+  await api.emitThreadName(threadID, MEMBER_ID, 'Fort Knox');
+
+  assert.strictEqual(api.callsTo('setTitle').length, 0);
+  assert.deepStrictEqual(queryAudit({ threadID, action: 'tamper' }), []);
+});
+
+test('name changes by a moderator, the owner or the bot are not reverted', async () => {
+  const { api, threadID, command } = createHarness();
+  await command(MOD_ID, '/group on Fort Knox');
+  api.reset();
+  await api.emitThreadName(threadID, MOD_ID, 'Mod Rename');
+  await api.emitThreadName(threadID, OWNER_ID, 'Owner Rename');
+  await api.emitThreadName(threadID, BOT_ID, 'Bot Rename');
+
+  assert.strictEqual(api.callsTo('setTitle').length, 0);
+  assert.strictEqual(api.thread(threadID).threadName, 'Bot Rename');
+});
+
+test('a name change in a group without locks is ignored', async () => {
+  const { api, threadID } = createHarness();
+  await api.emitThreadName(threadID, MEMBER_ID, 'Anything');
+
+  assert.strictEqual(api.callsTo('setTitle').length, 0);
+  assert.strictEqual(api.thread(threadID).threadName, 'Anything');
+});
+
+test('name auto-clear wipes any new name', async () => {
+  const { api, threadID, command, logs } = createHarness();
+  await command(MOD_ID, '/gcremove');
+  await api.emitThreadName(threadID, MEMBER_ID, 'New Name');
+
+  assert.strictEqual(api.thread(threadID).threadName, '');
+  assert.ok(logs.some(log => log.message.includes('auto-cleared')));
+  const [entry] = queryAudit({ threadID, action: 'tamper' });
+  assert.strictEqual(entry.newValue, 'New Name');
+  assert.strictEqual(entry.reverted, true);
+});
+
+test('a failed name revert is audited with the error and no taunt is sent', async () => {
+  const { api, threadID, command } = createHarness();
+  await command(MOD_ID, '/group on Fort Knox');
+  api.reset();
+  api.failNext('setTitle', 'not an admin');
+  await api.emitThreadName(threadID, MEMBER_ID, 'Hacked');
+
+  assert.strictEqual(api.thread(threadID).threadName, 'Hacked');
+  assert.deepStrictEqual(api.messagesIn(threadID), []);
+  const [entry] = queryAudit({ threadID, action: 'tamper' });
+  assert.strictEqual(entry.reverted, false);
+  assert.strictEqual(entry.error, 'not an admin');
+});
+
+test('a member changing a locked group nickname gets it put back', async () => {
+  const { api, threadID, command, lastMessage } = createHarness();
+  await command(MOD_ID, '/nickname on Soldier');
+  await api.emitNickname(threadID, MEMBER_ID, MEMBER_ID, 'Rebel');
+
+  assert.strictEqual(api.thread(threadID).nicknames[MEMBER_ID], 'Soldier');
+  assert.match(lastMessage(), /nicknames locked hain/);
+  const [entry] = queryAudit({ threadID, action: 'tamper' });
+  assert.deepStrictEqual(
+    { type: entry.type, participantID: entry.participantID, oldValue: entry.oldValue, newValue: entry.newValue },
+    { type: 'nickname', participantID: MEMBER_ID, oldValue: 'Soldier', newValue: 'Rebel' }
+  );
+});
+
+test('a member pin wins over the group nickname when reverting', async () => {
+  const { api, threadID, command } = createHarness();
+  await command(MOD_ID, '/nickname on Soldier');
+  await command(MOD_ID, '/membernick set @Member Captain', { [MEMBER_ID]: '@Member' });
+  await api.emitNickname(threadID, OTHER_ID, MEMBER_ID, 'Soldier');
+
+  assert.strictEqual(api.thread(threadID).nicknames[MEMBER_ID], 'Captain');
+  await api.emitNickname(threadID, OTHER_ID, OTHER_ID, 'Free');
+  assert.strictEqual(api.thread(threadID).nicknames[OTHER_ID], 'Soldier');
+});
+
+test('a pinned member nickname is restored even without a group lock', async () => {
+  const { api, threadID, command } = createHarness();
+  await command(MOD_ID, '/membernick set @Member Captain', { [MEMBER_ID]: '@Member' });
+  await api.emitNickname(threadID, MEMBER_ID, MEMBER_ID, '');
+  assert.strictEqual(api.thread(threadID).nicknames[MEMBER_ID], 'Captain');
+
+  api.reset();
+  await api.emitNickname(threadID, MEMBER_ID, OTHER_ID, 'Anything');
+  assert.strictEqual(api.callsTo('changeNickname').length, 0);
+});
+
+test('nickname auto-clear wipes new nicknames', async () => {
+  const { api, threadID, command } = createHarness();
+  await command(MOD_ID, '/nickremoveall');
+  await api.emitNickname(threadID, MEMBER_ID, OTHER_ID, 'Sneaky');
+
+  assert.strictEqual(api.thread(threadID).nicknames[OTHER_ID], undefined);
+  assert.strictEqual(queryAudit({ threadID, action: 'tamper' })[0].oldValue, '');
+});
+
+test('nickname changes by a moderator are not reverted', async () => {
+  const { api, threadID, command } = createHarness();
+  await command(MOD_ID, '/nickname on Soldier');
+  api.reset();
+  await api.emitNickname(threadID, MOD_ID, MEMBER_ID, 'Promoted');
+
+  assert.strictEqual(api.callsTo('changeNickname').length, 0);
+  assert.strictEqual(api.thread(threadID).nicknames[MEMBER_ID], 'Promoted');
+});
+
+test('the bot always takes its own nickname back, lock or not', async () => {
+  const { api, bot, threadID, lastMessage } = createHarness();
+  await api.emitNickname(threadID, MEMBER_ID, BOT_ID, 'Silly Bot');
+
+  assert.strictEqual(api.thread(threadID).nicknames[BOT_ID], bot.settings.botNickname);
+  assert.match(lastMessage(), /Mera nickname "BOT TAKLA" hi rahega/);
+});
+
+test('the bot accepts a new nickname of its own from a moderator', async () => {
+  const { api, threadID } = createHarness();
+  await api.emitNickname(threadID, MOD_ID, BOT_ID, 'Mod Choice');
+
+  assert.strictEqual(api.callsTo('changeNickname').length, 0);
+  assert.strictEqual(api.thread(threadID).nicknames[BOT_ID], 'Mod Choice');
+});
+
+test('a locked group photo is restored from the stored copy', async () => {
+  const photo = readFixture('group-photo.png');
+  const { api, threadID, command, logs } = createHarness({ image: photo });
+  await command(MOD_ID, '/photolock on');
+  await api.emitThreadImage(threadID, MEMBER_ID, readFixture('other-photo.png'));
+
+  assert.deepStrictEqual(api.thread(threadID).image, photo);
+  assert.ok(logs.some(log => log.message.includes('Group photo restored')));
+  const [entry] = queryAudit({ threadID, action: 'tamper' });
+  assert.strictEqual(entry.type, 'photo');
+  assert.strictEqual(entry.reverted, true);
+});
+
+test('a photo lock saved before local storage is downloaded on the first revert', async () => {
+  const photo = readFixture('group-photo.png');
+  const { api, state, threadID } = createHarness();
+  state.lockedGroupPhoto[threadID] = { url: `data:image/png;base64,${photo.toString('base64')}`, hash: null, file: null };
+  await api.emitThreadImage(threadID, MEMBER_ID, readFixture('other-photo.png'));
+
+  assert.deepStrictEqual(api.thread(threadID).image, photo);
+  assert.ok(state.lockedGroupPhoto[threadID].file);
+});
+
+test('a missing stored photo is audited as a failed revert', async () => {
+  const { api, state, threadID } = createHarness();
+  state.lockedGroupPhoto[threadID] = { url: 'https://fake.cdn/gone.png', hash: 'abc', file: 'gone.png' };
+  await api.emitThreadImage(threadID, MEMBER_ID, readFixture('other-photo.png'));
+
+  const [entry] = queryAudit({ threadID, action: 'tamper' });
+  assert.strictEqual(entry.reverted, false);
+  assert.match(entry.error, /gone\.png is missing/);
+  assert.deepStrictEqual(api.messagesIn(threadID), []);
+});
+
+test('photo changes by a moderator are not reverted', async () => {
+  const { api, threadID, command } = createHarness({ image: readFixture('group-photo.png') });
+  await command(MOD_ID, '/photolock on');
+  await api.emitThreadImage(threadID, MOD_ID, readFixture('other-photo.png'));
+
+  assert.strictEqual(api.callsTo('changeGroupImage').length, 0);
+});
+
+test('being added to a group sets the bot nickname, greets and refreshes the group list', async () => {
+  const { api, bot, broadcasts } = createHarness();
+  await api.emitSubscribe('new-group', OWNER_ID, [BOT_ID]);
+  // The group list refresh is not awaited by the handler
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.strictEqual(api.thread('new-group').nicknames[BOT_ID], bot.settings.botNickname);
+  assert.match(api.messagesIn('new-group')[0], /Namaste!/);
+  assert.ok(bot.getJoinedGroupIDs().includes('new-group'));
+  assert.ok(broadcasts.some(b => b.event === 'groupsUpdate'));
+});
+
+test('other members joining do not trigger the bot greeting', async () => {
+  const { api, threadID } = createHarness();
+  await api.emitSubscribe(threadID, OWNER_ID, ['3001']);
+  assert.deepStrictEqual(api.messagesIn(threadID), []);
+});
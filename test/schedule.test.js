@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { createHarness, MOD_ID, MEMBER_ID, OTHER_ID } = require('./support/harness');
+const { queryAudit } = require('../src/audit');
+const { loadState } = require('../src/state');
+
+const HOUR = 60 * 60 * 1000;
+
+test('a lock set --for a while is removed when it expires, with a notice if asked', async () => {
+  const { api, bot, threadID, state, command, lastMessage } = createHarness();
+  await command(MOD_ID, '/group on Fort Knox --for 2h --notify');
+  assert.strictEqual(api.thread(threadID).threadName, 'Fort Knox');
+  assert.match(lastMessage(), /Lock .* par apne aap hat jayega/);
+
+  const [expiry] = loadState().schedules;
+  assert.deepStrictEqual(
+    { threadID: expiry.threadID, type: expiry.type, action: expiry.action, notify: expiry.notify, createdBy: expiry.createdBy },
+    { threadID, type: 'name', action: 'unlock', notify: true, createdBy: MOD_ID }
+  );
+
+  assert.strictEqual(await bot.runDueSchedules(api), 0);
+  assert.strictEqual(await bot.runDueSchedules(api, Date.now() + 3 * HOUR), 1);
+  assert.strictEqual(state.lockedGroups[threadID], undefined);
+  assert.strictEqual(lastMessage(), '⏳ Group naam lock ka time khatam ho gaya, lock hata diya.');
+  assert.deepStrictEqual(loadState().schedules, []);
+
+  const [entry] = queryAudit({ threadID, actorID: 'schedule' });
+  assert.strictEqual(entry.action, 'unlock');
+
+  await api.emitThreadName(threadID, MEMBER_ID, 'Free Again');
+  assert.strictEqual(api.thread(threadID).threadName, 'Free Again');
+});
+
+test('a lock set --in the future waits, shows in /status and can be cancelled', async () => {
+  const { api, bot, threadID, state, command, lastMessage } = createHarness();
+  await command(MOD_ID, '/nickname on Soldier --in 30m --for 1h');
+  assert.match(lastMessage(), /⏰ Lock .* par lagega/);
+  assert.strictEqual(state.threadPolicies[threadID]?.nickLock, undefined);
+  assert.deepStrictEqual(state.schedules.map(entry => entry.action), ['lock', 'unlock']);
+
+  await command(MOD_ID, '/status');
+  assert.match(lastMessage(), /• Scheduled: \n#1 .* • Nickname: ON "Soldier"\n#2 .* • Nickname: OFF/);
+
+  await bot.runDueSchedules(api, Date.now() + HOUR / 2 + 1000);
+  assert.strictEqual(state.threadPolicies[threadID].groupNickname, 'Soldier');
+  assert.strictEqual(api.thread(threadID).nicknames[MEMBER_ID], 'Soldier');
+
+  await command(MOD_ID, '/schedule cancel 2');
+  assert.match(lastMessage(), /Schedule #2 cancel kar diya/);
+  await command(MOD_ID, '/schedule cancel 2');
+  assert.match(lastMessage(), /schedule #2 nahi mila/);
+  await command(MOD_ID, '/schedule list');
+  assert.match(lastMessage(), /SCHEDULED LOCKS:\nNONE/);
+});
+
+test('locking again by hand drops the old expiry', async () => {
+  const { state, threadID, command } = createHarness();
+  await command(MOD_ID, '/gclock Fort Knox --for 1h');
+  assert.strictEqual(state.schedules.length, 1);
+  await command(MOD_ID, '/gclock Fort Knox');
+  assert.deepStrictEqual(state.schedules, []);
+  assert.strictEqual(state.lockedGroups[threadID], 'Fort Knox');
+});
+
+test('schedules survive a restart and the ones due while offline run on start', async () => {
+  const { api, bot, threadID, command } = createHarness();
+  await command(MOD_ID, '/group on Fort Knox --for 2h');
+
+  const saved = JSON.parse(fs.readFileSync(process.env.STATE_FILE, 'utf8'));
+  saved.schedules[0].at = new Date(Date.now() - 1000).toISOString();
+  fs.writeFileSync(process.env.STATE_FILE, JSON.stringify(saved));
+
+  bot.loadPersistedState();
+  await bot.startSchedules(api);
+  bot.stopSchedules();
+  assert.strictEqual(bot.getState().lockedGroups[threadID], undefined);
+  assert.deepStrictEqual(loadState().schedules, []);
+});
+
+test('a lock whose Messenger call fails still expires', async () => {
+  const { api, bot, threadID, state, command } = createHarness();
+  api.failNext('setTitle', 'Not allowed');
+  await command(MOD_ID, '/group on Fort Knox --for 1h');
+
+  assert.strictEqual(state.lockedGroups[threadID], 'Fort Knox');
+  assert.deepStrictEqual(loadState().schedules.map(entry => [entry.type, entry.action]), [['name', 'unlock']]);
+  await bot.runDueSchedules(api, Date.now() + 2 * HOUR);
+  assert.strictEqual(state.lockedGroups[threadID], undefined);
+});
+
+test('clearing one member\'s nickname lock keeps the other members\' expiries', async () => {
+  const { threadID, state, command } = createHarness();
+  await command(MOD_ID, '/membernick set @Member @Other Captain --for 1h', { [MEMBER_ID]: '@Member', [OTHER_ID]: '@Other' });
+  await command(MOD_ID, '/membernick clear @Other', { [OTHER_ID]: '@Other' });
+
+  assert.deepStrictEqual(state.schedules.map(entry => entry.participantIDs), [[MEMBER_ID]]);
+  assert.deepStrictEqual(Object.keys(state.lockedNicknames[threadID]), [MEMBER_ID]);
+
+  await command(MOD_ID, '/membernick clear all');
+  assert.deepStrictEqual(state.schedules, []);
+});
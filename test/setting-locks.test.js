@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createHarness, MOD_ID, MEMBER_ID } = require('./support/harness');
+const { queryAudit } = require('../src/audit');
+const { loadState } = require('../src/state');
+
+test('a locked emoji is put back when a member changes it', async () => {
+  const { api, threadID, command, lastMessage } = createHarness();
+  await command(MOD_ID, '/emojilock on 🔥');
+  assert.strictEqual(api.thread(threadID).emoji, '🔥');
+  assert.match(lastMessage(), /Group emoji "🔥" lock ho gaya/);
+  assert.strictEqual(loadState().lockedEmoji[threadID], '🔥');
+
+  await api.emitThreadEmoji(threadID, MEMBER_ID, '😂');
+  assert.strictEqual(api.thread(threadID).emoji, '🔥');
+  assert.strictEqual(lastMessage(), '🔒 Member, group ka Emoji locked hai. Wapas pehle jaisa kar diya.');
+
+  const [entry] = queryAudit({ threadID, action: 'tamper', type: 'emoji' });
+  assert.deepStrictEqual([entry.actorID, entry.oldValue, entry.newValue, entry.reverted], [MEMBER_ID, '🔥', '😂', true]);
+
+  await api.emitThreadEmoji(threadID, MOD_ID, '🎉');
+  assert.strictEqual(api.thread(threadID).emoji, '🎉');
+});
+
+test('a color lock without a value locks the current theme, if the group has one', async () => {
+  const { api, threadID, command, lastMessage } = createHarness();
+  await command(MOD_ID, '/colorlock on');
+  assert.match(lastMessage(), /koi theme color nahi mila/);
+
+  api.thread(threadID).color = 'FF44BEC7';
+  await command(MOD_ID, '/colorlock on');
+  assert.match(lastMessage(), /theme color "FF44BEC7" lock ho gaya/);
+  assert.strictEqual(api.callsTo('changeThreadColor').length, 0);
+
+  await api.emitThreadColor(threadID, MEMBER_ID, 'FFFF0000');
+  assert.strictEqual(api.thread(threadID).color, 'FF44BEC7');
+
+  await command(MOD_ID, '/colorlock off');
+  await api.emitThreadColor(threadID, MEMBER_ID, 'FFFF0000');
+  assert.strictEqual(api.thread(threadID).color, 'FFFF0000');
+});
+
+test('the approval mode lock turns approval back on and shows in /status', async () => {
+  const { api, threadID, command, lastMessage } = createHarness();
+  await command(MOD_ID, '/approvallock on required');
+  assert.strictEqual(api.thread(threadID).approvalMode, true);
+  assert.deepStrictEqual(api.callsTo('changeApprovalMode')[0].args.slice(0, 2), [1, threadID]);
+
+  await api.emitApprovalMode(threadID, MEMBER_ID, false);
+  assert.strictEqual(api.thread(threadID).approvalMode, true);
+
+  await command(MOD_ID, '/status');
+  assert.match(lastMessage(), /• Emoji Lock: OFF\n• Color Lock: OFF\n• Approval Lock: ON \(naye members ko admin approval chahiye\)/);
+});
+
+test('setting locks changed while offline are restored by the sweep', async () => {
+  const { api, bot, threadID, command } = createHarness();
+  await command(MOD_ID, '/emojilock on 🔥');
+  await command(MOD_ID, '/approvallock on open');
+  const thread = api.thread(threadID);
+  thread.emoji = '💀';
+  thread.approvalMode = true;
+
+  const summary = await bot.reconcile(api, 'reconnect');
+  assert.strictEqual(summary.fixed, 2);
+  assert.strictEqual(thread.emoji, '🔥');
+  assert.strictEqual(thread.approvalMode, false);
+});
@@ -0,0 +1,313 @@
+const crypto = require('crypto');
+
+// In-memory stand-in for the part of the ws3-fca API the bot uses. Every call
+// is recorded in `calls`, every message in `sent`, and the threads keep their
+// current name, nicknames and image so tests can assert on the end result.
+// Methods return promises and also accept a trailing node-style callback.
+class FakeMessengerAPI {
+  constructor({ botID = '1000', users = {} } = {}) {
+    this.botID = botID;
+    this.users = { [botID]: { name: 'Bot' }, ...users };
+    this.threads = new Map();
+    this.calls = [];
+    this.sent = [];
+    this.failures = {};
+    this.listener = null;
+    this.options = {};
+  }
+
+  addUser(userID, name) {
+    this.users[userID] = { name };
+    return this;
+  }
+
+  addThread({ threadID, name = null, participantIDs = [], nicknames = {}, image = null, adminIDs = [], emoji = '👍', color = null, approvalMode = false }) {
+    const members = [this.botID, ...participantIDs.filter(id => id !== this.botID)];
+    this.threads.set(threadID, {
+      threadID,
+      threadName: name,
+      participantIDs: members,
+      nicknames: { ...nicknames },
+      image,
+      adminIDs: [...adminIDs],
+      emoji,
+      color,
+      approvalMode
+    });
+    return this.threads.get(threadID);
+  }
+
+  thread(threadID) {
+    const thread = this.threads.get(threadID);
+    if (!thread) throw new Error(`Unknown thread ${threadID}`);
+    return thread;
+  }
+
+  // The next `times` calls to `method` reject with `message`
+  failNext(method, message = `${method} failed`, times = 1) {
+    this.failures[method] = { message, times };
+  }
+
+  callsTo(method) {
+    return this.calls.filter(call => call.method === method);
+  }
+
+  messagesIn(threadID) {
+    return this.sent
+      .filter(message => message.threadID === threadID)
+      .map(message => (typeof message.body === 'string' ? message.body : message.body.body));
+  }
+
+  reset() {
+    this.calls = [];
+    this.sent = [];
+  }
+
+  async run(method, args, operation) {
+    const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    this.calls.push({ method, args });
+    try {
+      const failure = this.failures[method];
+      if (failure) {
+        if (--failure.times === 0) delete this.failures[method];
+        throw new Error(failure.message);
+      }
+      const result = await operation(...args);
+      if (callback) callback(null, result);
+      return result;
+    } catch (e) {
+      if (callback) {
+        callback(e);
+        return undefined;
+      }
+      throw e;
+    }
+  }
+
+  getCurrentUserID() {
+    return this.botID;
+  }
+
+  setOptions(options) {
+    Object.assign(this.options, options);
+  }
+
+  getAppState() {
+    return [{ key: 'c_user', value: this.botID }];
+  }
+
+  sendMessage(...args) {
+    return this.run('sendMessage', args, (body, threadID) => {
+      const message = { messageID: `mid.${this.sent.length + 1}`, threadID, body };
+      this.sent.push(message);
+      return { threadID, messageID: message.messageID };
+    });
+  }
+
+  setTitle(...args) {
+    return this.run('setTitle', args, (title, threadID) => {
+      this.thread(threadID).threadName = title;
+      return { threadID };
+    });
+  }
+
+  changeNickname(...args) {
+    return this.run('changeNickname', args, (nickname, threadID, participantID) => {
+      const thread = this.thread(threadID);
+      if (nickname) {
+        thread.nicknames[participantID] = nickname;
+      } else {
+        delete thread.nicknames[participantID];
+      }
+    });
+  }
+
+  changeGroupImage(...args) {
+    return this.run('changeGroupImage', args, async (stream, threadID) => {
+      const chunks = [];
+      for await (const chunk of stream) chunks.push(chunk);
+      this.thread(threadID).image = Buffer.concat(chunks);
+    });
+  }
+
+  changeThreadEmoji(...args) {
+    return this.run('changeThreadEmoji', args, (emoji, threadID) => {
+      this.thread(threadID).emoji = emoji;
+    });
+  }
+
+  changeThreadColor(...args) {
+    return this.run('changeThreadColor', args, (color, threadID) => {
+      this.thread(threadID).color = color;
+    });
+  }
+
+  changeApprovalMode(...args) {
+    return this.run('changeApprovalMode', args, (approvalMode, threadID) => {
+      this.thread(threadID).approvalMode = Boolean(approvalMode);
+    });
+  }
+
+  addUserToGroup(...args) {
+    return this.run('addUserToGroup', args, (userID, threadID) => {
+      const thread = this.thread(threadID);
+      if (!thread.participantIDs.includes(userID)) thread.participantIDs.push(userID);
+    });
+  }
+
+  removeUserFromGroup(...args) {
+    return this.run('removeUserFromGroup', args, (userID, threadID) => {
+      const thread = this.thread(threadID);
+      thread.participantIDs = thread.participantIDs.filter(id => id !== userID);
+    });
+  }
+
+  getThreadInfo(...args) {
+    return this.run('getThreadInfo', args, (threadID) => {
+      const thread = this.thread(threadID);
+      return {
+        threadID,
+        threadName: thread.threadName,
+        isGroup: true,
+        participantIDs: [...thread.participantIDs],
+        userInfo: thread.participantIDs.map(id => ({ id, name: this.users[id]?.name || null })),
+        nicknames: { ...thread.nicknames },
+        adminIDs: thread.adminIDs.map(id => ({ id })),
+        imageSrc: thread.image ? `data:image/png;base64,${thread.image.toString('base64')}` : null,
+        emoji: thread.emoji,
+        color: thread.color,
+        approvalMode: thread.approvalMode
+      };
+    });
+  }
+
+  getUserInfo(...args) {
+    return this.run('getUserInfo', args, (ids) => {
+      const info = {};
+      for (const id of [].concat(ids)) {
+        if (this.users[id]) info[id] = { name: this.users[id].name };
+      }
+      return info;
+    });
+  }
+
+  getThreadList(...args) {
+    return this.run('getThreadList', args, () => Array.from(this.threads.values()).map(thread => ({
+      threadID: thread.threadID,
+      name: thread.threadName,
+      isGroup: true,
+      participantIDs: [...thread.participantIDs]
+    })));
+  }
+
+  listenMqtt(listener) {
+    this.calls.push({ method: 'listenMqtt', args: [] });
+    this.listener = listener;
+    return { stopListening: () => this.stopListening() };
+  }
+
+  stopListening() {
+    this.listener = null;
+  }
+
+  // --- Scripted events. Each applies the change to the thread as Messenger would,
+  // delivers the event to the listener and resolves once the listener is done.
+
+  async emit(event) {
+    if (!this.listener) throw new Error('listenMqtt has not been called');
+    return this.listener(null, event);
+  }
+
+  emitError(error) {
+    return this.listener(error);
+  }
+
+  logEvent(threadID, authorID, logMessageType, logMessageData) {
+    return {
+      type: 'event',
+      threadID,
+      author: authorID,
+      authorID,
+      logMessageType,
+      logMessageData,
+      timestamp: Date.now()
+    };
+  }
+
+  emitMessage(threadID, senderID, body, mentions = {}) {
+    return this.emit({
+      type: 'message',
+      threadID,
+      senderID,
+      messageID: crypto.randomUUID(),
+      body,
+      mentions,
+      isGroup: true
+    });
+  }
+
+  emitThreadName(threadID, authorID, name) {
+    this.thread(threadID).threadName = name;
+    return this.emit(this.logEvent(threadID, authorID, 'log:thread-name', { name }));
+  }
+
+  emitNickname(threadID, authorID, participantID, nickname) {
+    const thread = this.thread(threadID);
+    if (nickname) {
+      thread.nicknames[participantID] = nickname;
+    } else {
+      delete thread.nicknames[participantID];
+    }
+    return this.emit(this.logEvent(threadID, authorID, 'log:user-nickname', { participant_id: participantID, nickname }));
+  }
+
+  emitThreadImage(threadID, authorID, image) {
+    this.thread(threadID).image = image;
+    return this.emit(this.logEvent(threadID, authorID, 'log:thread-image', { url: `https://fake.cdn/${threadID}.png` }));
+  }
+
+  emitThreadEmoji(threadID, authorID, emoji) {
+    this.thread(threadID).emoji = emoji;
+    return this.emit(this.logEvent(threadID, authorID, 'log:thread-icon', { thread_icon: emoji, thread_quick_reaction_emoji: emoji }));
+  }
+
+  emitThreadColor(threadID, authorID, color) {
+    this.thread(threadID).color = color;
+    return this.emit(this.logEvent(threadID, authorID, 'log:thread-color', { theme_color: color }));
+  }
+
+  emitApprovalMode(threadID, authorID, approvalMode) {
+    this.thread(threadID).approvalMode = approvalMode;
+    return this.emit(this.logEvent(threadID, authorID, 'log:thread-approval-mode', { APPROVAL_MODE: approvalMode ? '1' : '0' }));
+  }
+
+  emitSubscribe(threadID, authorID, addedIDs) {
+    const thread = this.threads.get(threadID) || this.addThread({ threadID });
+    for (const id of addedIDs) {
+      if (!thread.participantIDs.includes(id)) thread.participantIDs.push(id);
+    }
+    return this.emit(this.logEvent(threadID, authorID, 'log:subscribe', {
+      addedParticipants: addedIDs.map(id => ({ userFbId: id, fullName: this.users[id]?.name || null }))
+    }));
+  }
+
+  emitAdminChange(threadID, authorID, targetID, isAdmin) {
+    const thread = this.thread(threadID);
+    thread.adminIDs = thread.adminIDs.filter(id => id !== targetID);
+    if (isAdmin) thread.adminIDs.push(targetID);
+    return this.emit(this.logEvent(threadID, authorID, 'log:thread-admins', {
+      ADMIN_EVENT: isAdmin ? 'add_admin' : 'remove_admin',
+      TARGET_ID: targetID
+    }));
+  }
+
+  emitUnsubscribe(threadID, authorID, leftID) {
+    const thread = this.thread(threadID);
+    thread.participantIDs = thread.participantIDs.filter(id => id !== leftID);
+    return this.emit(this.logEvent(threadID, authorID, 'log:unsubscribe', { leftParticipantFbId: leftID }));
+  }
+}
+
+module.exports = {
+  FakeMessengerAPI
+};
@@ -0,0 +1,91 @@
+// Points every file the bot writes at a throwaway directory. Require this before
+// anything from src/, since those modules read their paths at load time.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TEST_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sadhin-test-'));
+process.env.STATE_FILE = path.join(TEST_DIR, 'state.json');
+process.env.AUDIT_FILE = path.join(TEST_DIR, 'audit.log');
+process.env.PHOTO_DIR = path.join(TEST_DIR, 'photos');
+process.env.CONFIG_FILE = path.join(TEST_DIR, 'config.json');
+process.env.OWNER_IDS = '';
+process.on('exit', () => fs.rmSync(TEST_DIR, { recursive: true, force: true }));
+
+const { FakeMessengerAPI } = require('./fake-api');
+const { createBot } = require('../../src/bot');
+const { createActionQueue } = require('../../src/action-queue');
+const { createRevertGuard } = require('../../src/revert-guard');
+const { createJoinBatcher } = require('../../src/greetings');
+const { grantRole } = require('../../src/roles');
+
+const BOT_ID = '1000';
+const OWNER_ID = '1001';
+const MOD_ID = '1002';
+const MEMBER_ID = '2001';
+const OTHER_ID = '2002';
+
+let threadCounter = 0;
+
+// A bot wired to a fresh fake API with one group. The owner and a moderator of
+// that group are already granted; everyone else is a plain member. Delayed
+// reverts wait milliseconds instead of seconds unless `revertGuard` is given;
+// joins are batched for 20ms.
+function createHarness({ name = 'Original Name', image = null, commands, revertGuard = createRevertGuard({ backoffMs: 5 }) } = {}) {
+  const threadID = `thread-${++threadCounter}`;
+  const api = new FakeMessengerAPI({
+    botID: BOT_ID,
+    users: {
+      [OWNER_ID]: { name: 'Owner' },
+      [MOD_ID]: { name: 'Moderator' },
+      [MEMBER_ID]: { name: 'Member' },
+      [OTHER_ID]: { name: 'Other' }
+    }
+  });
+  api.addThread({ threadID, name, participantIDs: [OWNER_ID, MOD_ID, MEMBER_ID, OTHER_ID], image });
+
+  const logs = [];
+  const broadcasts = [];
+  const emitLog = (message, isError = false) => logs.push({ message, isError });
+  // No pacing or backoff, so queued calls run as soon as they are awaited
+  const queue = createActionQueue({ emitLog, globalIntervalMs: 0, threadIntervalMs: 0, backoffMs: 0 });
+  const bot = createBot({
+    emitLog,
+    broadcast: (event, payload) => broadcasts.push({ event, payload }),
+    queue,
+    revertGuard,
+    joinBatcher: createJoinBatcher({ windowMs: 20 }),
+    ...(commands ? { commands } : {})
+  });
+  api.listenMqtt((err, event) => bot.handleEvent(api, event));
+
+  const state = bot.getState();
+  grantRole(state, OWNER_ID, 'owner');
+  grantRole(state, MOD_ID, 'moderator', threadID);
+
+  return {
+    api,
+    bot,
+    state,
+    threadID,
+    logs,
+    broadcasts,
+    command: (senderID, body, mentions = {}) => api.emitMessage(threadID, senderID, body, mentions),
+    lastMessage: () => api.messagesIn(threadID).pop() || null
+  };
+}
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, '..', 'fixtures', name));
+}
+
+module.exports = {
+  TEST_DIR,
+  BOT_ID,
+  OWNER_ID,
+  MOD_ID,
+  MEMBER_ID,
+  OTHER_ID,
+  createHarness,
+  readFixture
+};
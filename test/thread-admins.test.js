@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createHarness, MOD_ID, MEMBER_ID, OTHER_ID } = require('./support/harness');
+const { queryAudit } = require('../src/audit');
+const { loadState } = require('../src/state');
+
+// A locked group where MEMBER_ID is one of the group's own Messenger admins
+async function lockedGroupWithAdmin() {
+  const harness = createHarness();
+  harness.api.thread(harness.threadID).adminIDs = [MEMBER_ID];
+  await harness.command(MOD_ID, '/group on Fort Knox');
+  return harness;
+}
+
+test('a thread admin is reverted like anyone else until the group trusts its admins', async () => {
+  const { api, threadID, state } = await lockedGroupWithAdmin();
+  await api.emitThreadName(threadID, MEMBER_ID, 'Admin Rename');
+
+  assert.strictEqual(api.thread(threadID).threadName, 'Fort Knox');
+  assert.strictEqual(state.lockedGroups[threadID], 'Fort Knox');
+});
+
+test('a trusted thread admin renaming the group sets the new locked name', async () => {
+  const { api, threadID, state, command, lastMessage } = await lockedGroupWithAdmin();
+  await command(MEMBER_ID, '/trustadmins on');
+  assert.match(lastMessage(), /Permission denied/);
+  await command(MOD_ID, '/trustadmins on');
+  assert.strictEqual(loadState().threadPolicies[threadID].trustThreadAdmins, true);
+
+  await api.emitThreadName(threadID, MEMBER_ID, 'Admin Rename');
+  assert.strictEqual(api.thread(threadID).threadName, 'Admin Rename');
+  assert.strictEqual(state.lockedGroups[threadID], 'Admin Rename');
+  assert.match(lastMessage(), /Member group admin hai, isliye naya naam "Admin Rename" hi ab locked hai/);
+
+  const [entry] = queryAudit({ threadID, action: 'admin-update' });
+  assert.strictEqual(entry.actorID, MEMBER_ID);
+  assert.strictEqual(entry.type, 'name');
+  assert.strictEqual(entry.oldValue, 'Fort Knox');
+  assert.strictEqual(entry.newValue, 'Admin Rename');
+
+  // Everyone else is still held to the lock, now with the admin's name
+  await api.emitThreadName(threadID, OTHER_ID, 'Vandal');
+  assert.strictEqual(api.thread(threadID).threadName, 'Admin Rename');
+
+  await command(MOD_ID, '/status');
+  assert.match(lastMessage(), /Trust Group Admins: ON/);
+});
+
+test('a trusted thread admin changing a nickname pins it for that member only', async () => {
+  const { api, threadID, state, command } = await lockedGroupWithAdmin();
+  await command(MOD_ID, '/nickname on Soldier');
+  await command(MOD_ID, '/trustadmins on');
+
+  await api.emitNickname(threadID, MEMBER_ID, OTHER_ID, 'Captain');
+  assert.strictEqual(api.thread(threadID).nicknames[OTHER_ID], 'Captain');
+  assert.strictEqual(state.lockedNicknames[threadID][OTHER_ID], 'Captain');
+  assert.strictEqual(state.threadPolicies[threadID].groupNickname, 'Soldier');
+
+  const [entry] = queryAudit({ threadID, action: 'admin-update' });
+  assert.deepStrictEqual(
+    { actorID: entry.actorID, type: entry.type, participantID: entry.participantID, newValue: entry.newValue },
+    { actorID: MEMBER_ID, type: 'member-nickname', participantID: OTHER_ID, newValue: 'Captain' }
+  );
+
+  await api.emitNickname(threadID, OTHER_ID, OTHER_ID, 'Pirate');
+  assert.strictEqual(api.thread(threadID).nicknames[OTHER_ID], 'Captain');
+});
+
+test('admin changes in the group keep the trusted list fresh without refetching', async () => {
+  const { api, threadID, state, command } = await lockedGroupWithAdmin();
+  await command(MOD_ID, '/trustadmins on');
+  await api.emitThreadName(threadID, MEMBER_ID, 'First');
+  const lookups = api.callsTo('getThreadInfo').length;
+
+  await api.emitAdminChange(threadID, MOD_ID, MEMBER_ID, false);
+  await api.emitAdminChange(threadID, MOD_ID, OTHER_ID, true);
+
+  await api.emitThreadName(threadID, MEMBER_ID, 'Second');
+  assert.strictEqual(state.lockedGroups[threadID], 'First');
+  assert.strictEqual(api.thread(threadID).threadName, 'First');
+
+  await api.emitThreadName(threadID, OTHER_ID, 'Third');
+  assert.strictEqual(state.lockedGroups[threadID], 'Third');
+  assert.strictEqual(api.callsTo('getThreadInfo').length, lookups);
+});
+
+test('a trusted thread admin\'s nickname is left alone under auto-clear, without pinning it', async () => {
+  const { api, threadID, state, command } = createHarness();
+  api.thread(threadID).adminIDs = [MEMBER_ID];
+  await command(MOD_ID, '/nickremoveall');
+  await command(MOD_ID, '/trustadmins on');
+
+  await api.emitNickname(threadID, MEMBER_ID, OTHER_ID, 'Captain');
+  assert.strictEqual(api.thread(threadID).nicknames[OTHER_ID], 'Captain');
+  assert.strictEqual(state.lockedNicknames[threadID], undefined);
+  assert.deepStrictEqual(queryAudit({ threadID, action: 'admin-update' }), []);
+
+  // Anyone else's nickname is still cleared
+  await api.emitNickname(threadID, OTHER_ID, OTHER_ID, 'Pirate');
+  assert.strictEqual(api.thread(threadID).nicknames[OTHER_ID], undefined);
+});